@@ -1,15 +1,22 @@
 /**
  * Website Plunder - Frontend Application
  *
- * Handles user interaction and communication with the backend /replicate endpoint
+ * Handles user interaction and communication with the backend: replications
+ * run as jobs (POST /jobs), followed through their progress events
  */
 
 // DOM elements
 const urlInput = document.getElementById('url-input');
+const linksSelect = document.getElementById('links-select');
+const outputSelect = document.getElementById('output-select');
+const profileSelect = document.getElementById('profile-select');
 const replicateBtn = document.getElementById('replicate-btn');
 const statusContainer = document.getElementById('status-container');
 const statusText = document.getElementById('status-text');
 const progressDetails = document.getElementById('progress-details');
+const progressFill = document.getElementById('progress-fill');
+const progressFeed = document.getElementById('progress-feed');
+const cancelBtn = document.getElementById('cancel-btn');
 const errorContainer = document.getElementById('error-container');
 const errorText = document.getElementById('error-text');
 const resultsContainer = document.getElementById('results-container');
@@ -21,9 +28,22 @@ const replicaModal = document.getElementById('replica-modal');
 const modalOverlay = document.getElementById('modal-overlay');
 const closeModal = document.getElementById('close-modal');
 const replicaFrame = document.getElementById('replica-frame');
+const manifestSearch = document.getElementById('manifest-search');
+const manifestKind = document.getElementById('manifest-kind');
+const manifestOutcome = document.getElementById('manifest-outcome');
+const manifestCount = document.getElementById('manifest-count');
+const manifestBody = document.getElementById('manifest-body');
+const manifestHeaders = document.querySelectorAll('.manifest-table th[data-sort]');
+const librarySearch = document.getElementById('library-search');
+const libraryList = document.getElementById('library-list');
+const libraryEmpty = document.getElementById('library-empty');
 
 // State
 let replicatedHTML = null;
+let currentJobId = null;
+let manifest = [];
+let manifestSort = { key: 'outcome', direction: 1 };
+let librarySearchTimer = null;
 
 /**
  * Initialize event listeners
@@ -36,12 +56,34 @@ function init() {
     }
   });
 
+  cancelBtn.addEventListener('click', cancelReplication);
   viewBtn.addEventListener('click', showReplicaModal);
   downloadBtn.addEventListener('click', downloadReplica);
   resetBtn.addEventListener('click', reset);
   closeModal.addEventListener('click', hideReplicaModal);
   modalOverlay.addEventListener('click', hideReplicaModal);
 
+  manifestSearch.addEventListener('input', renderManifest);
+  manifestKind.addEventListener('change', renderManifest);
+  manifestOutcome.addEventListener('change', renderManifest);
+  manifestHeaders.forEach(header => {
+    header.addEventListener('click', () => sortManifest(header.dataset.sort));
+  });
+
+  librarySearch.addEventListener('input', () => {
+    clearTimeout(librarySearchTimer);
+    librarySearchTimer = setTimeout(loadLibrary, 250);
+  });
+
+  // Jobs outlive their event stream, so stop ours when the tab goes away
+  window.addEventListener('pagehide', () => {
+    if (currentJobId) {
+      fetch(`/jobs/${currentJobId}`, { method: 'DELETE', keepalive: true });
+    }
+  });
+
+  loadLibrary();
+
   // Focus input on load
   urlInput.focus();
 }
@@ -71,15 +113,13 @@ async function handleReplicate() {
   disableInput();
 
   try {
-    // Make request to backend
-    updateStatus('Fetching website content...', 'This may take a moment');
-
-    const response = await fetch('/replicate', {
+    // Start the replication as a background job
+    const response = await fetch('/jobs', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ url })
+      body: JSON.stringify({ url, links: linksSelect.value, output: outputSelect.value, profile: profileSelect.value })
     });
 
     const data = await response.json();
@@ -88,26 +128,127 @@ async function handleReplicate() {
       throw new Error(data.error || 'Failed to replicate website');
     }
 
+    currentJobId = data.job.id;
+    const job = await followJob(currentJobId);
+    currentJobId = null;
+
     // Success!
-    replicatedHTML = data.html;
+    replicatedHTML = job.html;
 
     updateStatus('Replication complete!', '');
     hideStatus();
-    showResults(data.stats);
+    showResults(job.stats);
+    showManifest(job.manifest);
+    loadLibrary();
 
   } catch (error) {
+    currentJobId = null;
     hideStatus();
     showError(error.message || 'Failed to replicate website');
     enableInput();
   }
 }
 
+/**
+ * Cancel the running replication
+ * The job's "cancelled" event then ends it like a failure
+ */
+async function cancelReplication() {
+  if (!currentJobId) return;
+
+  cancelBtn.disabled = true;
+  updateStatus('Cancelling...', '');
+
+  try {
+    await fetch(`/jobs/${currentJobId}`, { method: 'DELETE' });
+  } catch (error) {
+    cancelBtn.disabled = false;
+    showError('Could not cancel the replication');
+  }
+}
+
+/**
+ * Follow a job's progress events until it finishes
+ * Resolves with the finished job, replica included
+ */
+function followJob(id) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/jobs/${id}/events`);
+
+    source.addEventListener('step', (e) => {
+      const event = JSON.parse(e.data);
+      updateStatus(event.message, `${event.percent}%`);
+      setProgress(event.percent);
+    });
+
+    source.addEventListener('asset', (e) => {
+      const event = JSON.parse(e.data);
+      progressDetails.textContent = `${event.percent}% • ${event.completed}/${event.total} files`;
+      setProgress(event.percent);
+      addFeedLine(event);
+    });
+
+    source.addEventListener('done', async () => {
+      source.close();
+      setProgress(100);
+
+      try {
+        const response = await fetch(`/jobs/${id}`);
+        const data = await response.json();
+        if (!data.success) {
+          throw new Error(data.error || 'Failed to load the replica');
+        }
+        resolve(data.job);
+      } catch (error) {
+        reject(error);
+      }
+    });
+
+    const fail = (e) => {
+      source.close();
+      reject(new Error(JSON.parse(e.data).error));
+    };
+    source.addEventListener('failed', fail);
+    source.addEventListener('cancelled', fail);
+
+    // EventSource reconnects by itself, and only gives up if the job is gone
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        reject(new Error('Lost track of the replication - please try again'));
+      }
+    };
+  });
+}
+
+/**
+ * Add a fetched, failed or skipped file to the progress feed
+ */
+function addFeedLine(event) {
+  const icons = { fetched: '✓', failed: '✗', skipped: '⏭' };
+  const line = document.createElement('li');
+  line.className = event.status;
+  line.textContent = `${icons[event.status]} ${event.kind} ${event.url}${event.reason ? ` (${event.reason})` : ''}`;
+  line.title = line.textContent;
+  progressFeed.appendChild(line);
+  progressFeed.scrollTop = progressFeed.scrollHeight;
+}
+
+/**
+ * Fill the progress bar to percent
+ */
+function setProgress(percent) {
+  progressFill.style.width = `${percent}%`;
+}
+
 /**
  * Show status message
  */
 function showStatus(message, details = '') {
   statusText.textContent = message;
   progressDetails.textContent = details;
+  progressFeed.innerHTML = '';
+  setProgress(0);
+  cancelBtn.disabled = false;
   statusContainer.classList.remove('hidden');
 }
 
@@ -149,16 +290,242 @@ function showResults(stats) {
     const imagePercent = stats.totalImages > 0
       ? Math.round((stats.images / stats.totalImages) * 100)
       : 100;
+    const megabytes = Math.round((stats.bytes || 0) / 1024 / 1024 * 10) / 10;
+    const skipped = (stats.skipped || []).length;
 
     statsDiv.innerHTML = `
+      Device: ${stats.profile} •
       Images: ${stats.images}/${stats.totalImages} (${imagePercent}%) •
-      Stylesheets: ${stats.stylesheets}
+      Fonts: ${stats.fonts}/${stats.totalFonts} •
+      Stylesheets: ${stats.stylesheets} •
+      Requests: ${stats.attempts} (${stats.retries} retried, ${stats.failures.length} failed) •
+      Cache hits: ${stats.cacheHits} •
+      Size: ${megabytes} MB${skipped > 0 ? ` (${skipped} assets skipped over budget)` : ''}
     `;
+
+    // Robots rules the capture went ahead despite (ROBOTS_POLICY=warn)
+    (stats.warnings || []).forEach(warning => {
+      const line = document.createElement('div');
+      line.className = 'stats-warning';
+      line.textContent = `⚠️ ${warning}`;
+      statsDiv.appendChild(line);
+    });
   }
 
   resultsContainer.classList.remove('hidden');
 }
 
+/**
+ * Show the asset manifest, failures first
+ */
+function showManifest(entries) {
+  manifest = entries || [];
+  manifestSearch.value = '';
+  manifestKind.value = '';
+  manifestOutcome.value = '';
+  manifestSort = { key: 'outcome', direction: 1 };
+  renderManifest();
+}
+
+/**
+ * Sort the manifest by a column, or flip the order if it already is
+ */
+function sortManifest(key) {
+  manifestSort = manifestSort.key === key
+    ? { key, direction: -manifestSort.direction }
+    : { key, direction: 1 };
+  renderManifest();
+}
+
+/**
+ * Fill the manifest table with the entries matching the filters
+ */
+function renderManifest() {
+  const search = manifestSearch.value.trim().toLowerCase();
+  const { key, direction } = manifestSort;
+
+  // Failures sort before skips and successes
+  const outcomeOrder = { failed: 0, skipped: 1, fetched: 2 };
+  const sortValue = (entry) => key === 'outcome' ? outcomeOrder[entry.outcome] : entry[key];
+
+  const rows = manifest
+    .filter(entry => !manifestKind.value || entry.kind === manifestKind.value)
+    .filter(entry => !manifestOutcome.value || entry.outcome === manifestOutcome.value)
+    .filter(entry => !search || [entry.original, entry.url, entry.finalUrl, entry.reason]
+      .some(text => text && text.toLowerCase().includes(search)))
+    .sort((a, b) => {
+      const x = sortValue(a);
+      const y = sortValue(b);
+      // Missing values go last in either direction
+      if (x === null || x === undefined) return 1;
+      if (y === null || y === undefined) return -1;
+      return (typeof x === 'number' ? x - y : String(x).localeCompare(String(y))) * direction;
+    });
+
+  manifestBody.replaceChildren(...rows.map(manifestRow));
+  manifestCount.textContent = `${rows.length} of ${manifest.length} assets`;
+
+  manifestHeaders.forEach(header => {
+    header.classList.toggle('sorted-asc', header.dataset.sort === key && direction === 1);
+    header.classList.toggle('sorted-desc', header.dataset.sort === key && direction === -1);
+  });
+}
+
+/**
+ * One manifest table row, built with textContent so URLs and reasons
+ * from the site are never parsed as HTML
+ */
+function manifestRow(entry) {
+  const row = document.createElement('tr');
+  row.className = entry.outcome;
+
+  const redirected = entry.finalUrl && entry.finalUrl !== entry.url ? ` → ${entry.finalUrl}` : '';
+  const cells = [
+    entry.outcome,
+    entry.kind,
+    entry.original,
+    entry.status ?? '',
+    entry.contentType ?? '',
+    entry.bytes === null ? '' : formatSize(entry.bytes),
+    `${entry.ms} ms${entry.cached ? ' (cached)' : ''}`,
+    entry.reason ?? ''
+  ];
+
+  cells.forEach((text, index) => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    if (index === 2) {
+      cell.className = 'manifest-url';
+      cell.title = `${entry.url}${redirected}`;
+    }
+    row.appendChild(cell);
+  });
+
+  return row;
+}
+
+/**
+ * Byte count as B, KB or MB
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
+}
+
+/**
+ * Fill the library with the saved replicas matching the search
+ */
+async function loadLibrary() {
+  const query = librarySearch.value.trim();
+
+  try {
+    const response = await fetch(`/replicas?q=${encodeURIComponent(query)}`);
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error || 'Failed to load the library');
+    }
+
+    libraryList.innerHTML = '';
+    data.replicas.forEach(replica => libraryList.appendChild(libraryItem(replica)));
+    libraryEmpty.textContent = query ? 'No replicas match' : 'No replicas yet';
+    libraryEmpty.classList.toggle('hidden', data.replicas.length > 0);
+  } catch (error) {
+    libraryList.innerHTML = '';
+    libraryEmpty.textContent = error.message || 'Failed to load the library';
+    libraryEmpty.classList.remove('hidden');
+  }
+}
+
+/**
+ * One library entry, with its open and delete buttons
+ */
+function libraryItem(replica) {
+  const item = document.createElement('li');
+  item.className = 'library-item';
+
+  const details = document.createElement('div');
+  details.className = 'library-details';
+
+  const title = document.createElement('div');
+  title.className = 'library-title';
+  title.textContent = replica.title || replica.url;
+  title.title = replica.url;
+
+  const meta = document.createElement('div');
+  meta.className = 'library-meta';
+  const stats = replica.stats || {};
+  meta.textContent = [
+    new Date(replica.capturedAt).toLocaleString(),
+    replica.profile,
+    `Images: ${stats.images}/${stats.totalImages}`,
+    formatSize(replica.size),
+    replica.url
+  ].join(' • ');
+
+  details.append(title, meta);
+
+  const openBtn = document.createElement('button');
+  openBtn.className = 'action-btn';
+  openBtn.textContent = '📂 Open';
+  openBtn.addEventListener('click', () => openReplica(replica.id));
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'action-btn';
+  deleteBtn.textContent = '🗑️ Delete';
+  deleteBtn.addEventListener('click', () => deleteReplica(replica.id));
+
+  item.append(details, openBtn, deleteBtn);
+  return item;
+}
+
+/**
+ * Load a saved replica into the results, as if it had just been captured
+ */
+async function openReplica(id) {
+  if (currentJobId) return;
+
+  hideError();
+
+  try {
+    const [details, page] = await Promise.all([
+      fetch(`/replicas/${id}`).then(response => response.json()),
+      fetch(`/replicas/${id}/view`)
+    ]);
+    if (!details.success || !page.ok) {
+      throw new Error(details.error || 'Failed to load the replica');
+    }
+
+    replicatedHTML = await page.text();
+    urlInput.value = details.replica.url;
+    disableInput();
+    showResults(details.replica.stats);
+    showManifest(details.replica.manifest);
+    resultsContainer.scrollIntoView({ behavior: 'smooth' });
+  } catch (error) {
+    showError(error.message || 'Failed to load the replica');
+  }
+}
+
+/**
+ * Delete a saved replica and refresh the library
+ */
+async function deleteReplica(id) {
+  if (!confirm('Delete this replica?')) return;
+
+  try {
+    const response = await fetch(`/replicas/${id}`, { method: 'DELETE' });
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error || 'Failed to delete the replica');
+    }
+  } catch (error) {
+    showError(error.message || 'Failed to delete the replica');
+  }
+
+  loadLibrary();
+}
+
 /**
  * Hide results
  */
@@ -171,6 +538,9 @@ function hideResults() {
  */
 function disableInput() {
   urlInput.disabled = true;
+  linksSelect.disabled = true;
+  outputSelect.disabled = true;
+  profileSelect.disabled = true;
   replicateBtn.disabled = true;
 }
 
@@ -179,6 +549,9 @@ function disableInput() {
  */
 function enableInput() {
   urlInput.disabled = false;
+  linksSelect.disabled = false;
+  outputSelect.disabled = false;
+  profileSelect.disabled = false;
   replicateBtn.disabled = false;
 }
 
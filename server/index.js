@@ -4,6 +4,12 @@
  * A simple Express server that:
  * - Serves the pirate-themed frontend
  * - Exposes POST /replicate endpoint for website replication
+ * - Exposes GET /replicate for following links between replicas
+ * - Exposes POST /jobs, GET /jobs/:id(/events) and DELETE /jobs/:id for
+ *   background replications with live progress and cancellation
+ * - Exposes GET/DELETE /cache to inspect and purge the HTTP cache
+ * - Exposes GET /replicas(/:id(/view)) and DELETE /replicas/:id to browse
+ *   the library of saved replicas
  *
  * Design Decision: Minimal Express setup with just the essentials.
  * No middleware bloat, no unnecessary dependencies.
@@ -11,7 +17,11 @@
 
 const express = require('express');
 const path = require('path');
-const { replicate } = require('./routes/replicate');
+const { replicate, replicatePage } = require('./routes/replicate');
+const { createJob, getJob, jobEvents, deleteJob } = require('./routes/jobs');
+const { inspectCache, purgeCache } = require('./routes/cache');
+const { listReplicas, getReplica, viewReplica, deleteReplica } = require('./routes/replicas');
+const fetcher = require('./mcps/fetcher');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -25,6 +35,39 @@ app.use(express.static(path.join(__dirname, '../public')));
 // Route: POST /replicate - Main replication endpoint
 app.post('/replicate', replicate);
 
+// Route: GET /replicate?url=... - Replica as a page, for on-demand links
+app.get('/replicate', replicatePage);
+
+// Route: POST /jobs - Start a replication in the background
+app.post('/jobs', createJob);
+
+// Route: GET /jobs/:id - Job status, and the replica once done
+app.get('/jobs/:id', getJob);
+
+// Route: GET /jobs/:id/events - Job progress as Server-Sent Events
+app.get('/jobs/:id/events', jobEvents);
+
+// Route: DELETE /jobs/:id - Cancel a running job, or forget a finished one
+app.delete('/jobs/:id', deleteJob);
+
+// Route: GET /cache - List the HTTP cache
+app.get('/cache', inspectCache);
+
+// Route: DELETE /cache?url=... - Purge one URL, or everything without ?url
+app.delete('/cache', purgeCache);
+
+// Route: GET /replicas?q=... - List saved replicas, optionally searched
+app.get('/replicas', listReplicas);
+
+// Route: GET /replicas/:id - A saved replica's metadata and manifest
+app.get('/replicas/:id', getReplica);
+
+// Route: GET /replicas/:id/view - A saved replica as a page
+app.get('/replicas/:id/view', viewReplica);
+
+// Route: DELETE /replicas/:id - Delete a saved replica
+app.delete('/replicas/:id', deleteReplica);
+
 // Route: GET / - Serve the frontend
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/index.html'));
@@ -47,6 +90,7 @@ app.listen(PORT, () => {
   console.log('⚓ ═══════════════════════════════════════════════════ ⚓');
   console.log('');
   console.log(`   ⚓ Server running on: http://localhost:${PORT}`);
+  console.log(`   ⚓ Fetching: ${fetcher.transport.describe()}`);
   console.log('   ⚓ Ready to plunder websites!');
   console.log('');
   console.log('⚓ ═══════════════════════════════════════════════════ ⚓');
@@ -0,0 +1,166 @@
+/**
+ * Sanitizer Allowlist
+ *
+ * The elements and attributes a replica may contain. Anything not listed
+ * here is removed by Parser.stripUnsafeContent.
+ *
+ * Design Decision: An allowlist fails closed - new event handlers and
+ * script-bearing features added to browsers are blocked without anyone
+ * having to remember to update a denylist.
+ */
+
+// HTML elements kept as-is (attributes are filtered separately)
+const HTML_TAGS = [
+  'html', 'head', 'body', 'title', 'meta', 'link', 'style',
+  'a', 'abbr', 'address', 'area', 'article', 'aside', 'audio',
+  'b', 'bdi', 'bdo', 'blockquote', 'br', 'button',
+  'canvas', 'caption', 'center', 'cite', 'code', 'col', 'colgroup',
+  'data', 'datalist', 'dd', 'del', 'details', 'dfn', 'dialog', 'div', 'dl', 'dt',
+  'em', 'fieldset', 'figcaption', 'figure', 'font', 'footer', 'form',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr',
+  'i', 'img', 'input', 'ins', 'kbd', 'label', 'legend', 'li',
+  'main', 'map', 'mark', 'menu', 'meter', 'nav', 'ol', 'optgroup', 'option', 'output',
+  'p', 'picture', 'pre', 'progress', 'q', 'rp', 'rt', 'ruby',
+  's', 'samp', 'search', 'section', 'select', 'small', 'source', 'span', 'strike',
+  'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'textarea', 'tfoot',
+  'th', 'thead', 'time', 'tr', 'track', 'tt', 'u', 'ul', 'var', 'video', 'wbr'
+];
+
+// SVG elements kept as-is. Excludes script, foreignObject (arbitrary
+// HTML inside SVG) and animation elements, which can set href to a
+// javascript: URL.
+const SVG_TAGS = [
+  'svg', 'g', 'defs', 'symbol', 'use', 'image', 'switch', 'desc', 'title', 'metadata',
+  'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+  'text', 'tspan', 'textpath', 'a', 'style',
+  'lineargradient', 'radialgradient', 'stop', 'pattern', 'clippath', 'mask', 'marker',
+  'filter', 'feblend', 'fecolormatrix', 'fecomponenttransfer', 'fecomposite',
+  'feconvolvematrix', 'fediffuselighting', 'fedisplacementmap', 'fedistantlight',
+  'fedropshadow', 'feflood', 'fefunca', 'fefuncb', 'fefuncg', 'fefuncr',
+  'fegaussianblur', 'feimage', 'femerge', 'femergenode', 'femorphology', 'feoffset',
+  'fepointlight', 'fespecularlighting', 'fespotlight', 'fetile', 'feturbulence'
+];
+
+// Elements removed together with their content. Elements that are not
+// allowed and not listed here are unwrapped: their text stays visible.
+const DROP_TAGS = [
+  'script', 'noscript', 'template', 'iframe', 'frame', 'frameset', 'object',
+  'embed', 'applet', 'param', 'base', 'portal', 'slot',
+  'foreignobject', 'animate', 'animatemotion', 'animatetransform', 'set', 'handler', 'listener'
+];
+
+// Attributes allowed on any HTML element
+const GLOBAL_ATTRIBUTES = [
+  'id', 'class', 'style', 'title', 'lang', 'dir', 'hidden', 'role', 'tabindex',
+  'translate', 'accesskey', 'draggable', 'inert', 'itemscope', 'itemtype', 'itemprop'
+];
+
+// Attributes allowed on specific HTML elements
+const HTML_ATTRIBUTES = {
+  a: ['href', 'target', 'rel', 'hreflang', 'type', 'name', 'download'],
+  area: ['href', 'alt', 'coords', 'shape', 'target', 'rel'],
+  audio: ['src', 'controls', 'loop', 'muted', 'preload'],
+  blockquote: ['cite'],
+  button: ['type', 'name', 'value', 'disabled'],
+  col: ['span', 'width'],
+  colgroup: ['span', 'width'],
+  data: ['value'],
+  del: ['cite', 'datetime'],
+  details: ['open'],
+  dialog: ['open'],
+  fieldset: ['disabled', 'name'],
+  font: ['color', 'face', 'size'],
+  form: ['name', 'novalidate'],
+  html: ['xmlns'],
+  img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height', 'loading', 'decoding', 'usemap', 'ismap', 'align', 'border'],
+  input: ['type', 'name', 'value', 'placeholder', 'checked', 'disabled', 'readonly', 'size', 'maxlength', 'min', 'max', 'step', 'src', 'alt', 'width', 'height', 'list'],
+  ins: ['cite', 'datetime'],
+  label: ['for'],
+  li: ['value'],
+  link: ['rel', 'href', 'type', 'media', 'sizes', 'hreflang'],
+  map: ['name'],
+  meta: ['charset', 'name', 'content', 'http-equiv', 'property', 'itemprop'],
+  meter: ['value', 'min', 'max', 'low', 'high', 'optimum'],
+  ol: ['start', 'reversed', 'type'],
+  optgroup: ['label', 'disabled'],
+  option: ['value', 'label', 'selected', 'disabled'],
+  output: ['for', 'name'],
+  progress: ['value', 'max'],
+  q: ['cite'],
+  select: ['name', 'multiple', 'size', 'disabled'],
+  source: ['src', 'srcset', 'sizes', 'media', 'type', 'width', 'height'],
+  style: ['media', 'type'],
+  table: ['border', 'cellpadding', 'cellspacing', 'width', 'align', 'summary'],
+  td: ['colspan', 'rowspan', 'headers', 'width', 'height', 'align', 'valign', 'nowrap'],
+  textarea: ['name', 'rows', 'cols', 'placeholder', 'disabled', 'readonly', 'maxlength', 'wrap'],
+  th: ['colspan', 'rowspan', 'headers', 'scope', 'abbr', 'width', 'height', 'align', 'valign', 'nowrap'],
+  time: ['datetime'],
+  tr: ['align', 'valign'],
+  track: ['src', 'kind', 'srclang', 'label', 'default'],
+  ul: ['type'],
+  video: ['src', 'poster', 'width', 'height', 'controls', 'loop', 'muted', 'playsinline', 'preload']
+};
+
+// Attributes allowed on any SVG element (geometry and presentation)
+const SVG_ATTRIBUTES = [
+  'id', 'class', 'style', 'lang', 'tabindex', 'role', 'transform', 'href',
+  'x', 'y', 'x1', 'x2', 'y1', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'fr',
+  'width', 'height', 'd', 'points', 'pathlength', 'viewbox', 'preserveaspectratio',
+  'xmlns', 'xmlns:xlink', 'version', 'baseprofile', 'focusable',
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity',
+  'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray',
+  'stroke-dashoffset', 'opacity', 'color', 'display', 'visibility', 'overflow',
+  'clip-path', 'clip-rule', 'clippathunits', 'mask', 'maskunits', 'maskcontentunits',
+  'filter', 'filterunits', 'primitiveunits', 'marker-start', 'marker-mid', 'marker-end',
+  'markerwidth', 'markerheight', 'markerunits', 'refx', 'refy', 'orient',
+  'font-family', 'font-size', 'font-style', 'font-weight', 'font-variant',
+  'text-anchor', 'dominant-baseline', 'alignment-baseline', 'baseline-shift',
+  'letter-spacing', 'word-spacing', 'text-decoration', 'writing-mode', 'dx', 'dy',
+  'rotate', 'textlength', 'lengthadjust', 'startoffset', 'method', 'spacing', 'side',
+  'gradientunits', 'gradienttransform', 'spreadmethod', 'offset', 'stop-color', 'stop-opacity',
+  'patternunits', 'patterncontentunits', 'patterntransform',
+  'in', 'in2', 'result', 'mode', 'type', 'values', 'operator', 'k1', 'k2', 'k3', 'k4',
+  'stddeviation', 'edgemode', 'kernelmatrix', 'order', 'divisor', 'bias', 'targetx', 'targety',
+  'preservealpha', 'surfacescale', 'diffuseconstant', 'specularconstant', 'specularexponent',
+  'kernelunitlength', 'scale', 'xchannelselector', 'ychannelselector', 'flood-color',
+  'flood-opacity', 'lighting-color', 'azimuth', 'elevation', 'pointsatx', 'pointsaty',
+  'pointsatz', 'limitingconeangle', 'basefrequency', 'numoctaves', 'seed', 'stitchtiles',
+  'radius', 'tablevalues', 'slope', 'intercept', 'amplitude', 'exponent', 'z',
+  'color-interpolation', 'color-interpolation-filters', 'shape-rendering',
+  'text-rendering', 'image-rendering', 'vector-effect', 'paint-order', 'mix-blend-mode',
+  'isolation', 'pointer-events', 'cursor', 'systemlanguage', 'requiredfeatures', 'target'
+];
+
+// Attributes holding a URL (or, for srcset, a list of them) whose scheme
+// must be checked
+const URL_ATTRIBUTES = ['href', 'src', 'srcset', 'poster', 'cite'];
+
+// URL schemes allowed in URL attributes; relative URLs are always allowed
+const SAFE_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+// data: URLs are only allowed for media, and never in link targets
+const SAFE_DATA_URL = /^data:(image|audio|video|font)\/[a-z0-9.+-]+[;,]/i;
+
+// <link rel> values kept - everything else (preload, prefetch, manifest,
+// import, ...) either fetches code or is useless in a static replica
+const SAFE_LINK_RELS = [
+  'stylesheet', 'icon', 'shortcut', 'apple-touch-icon', 'apple-touch-icon-precomposed',
+  'mask-icon', 'canonical', 'alternate', 'author', 'license'
+];
+
+// <meta http-equiv> values kept - refresh, set-cookie and friends are not
+const SAFE_HTTP_EQUIV = ['content-type', 'content-language', 'x-ua-compatible'];
+
+module.exports = {
+  HTML_TAGS,
+  SVG_TAGS,
+  DROP_TAGS,
+  GLOBAL_ATTRIBUTES,
+  HTML_ATTRIBUTES,
+  SVG_ATTRIBUTES,
+  URL_ATTRIBUTES,
+  SAFE_SCHEMES,
+  SAFE_DATA_URL,
+  SAFE_LINK_RELS,
+  SAFE_HTTP_EQUIV
+};
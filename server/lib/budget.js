@@ -0,0 +1,97 @@
+/**
+ * Replication Budget
+ *
+ * Caps what one replication downloads: a total number of bytes and a
+ * number of assets. Every asset ends up base64-encoded in a single
+ * response, so without a total a page with hundreds of large images
+ * produces a response of gigabytes.
+ *
+ * Design Decision: Assets are admitted in the order they were queued, not
+ * the order their downloads finish. Each asset takes a ticket when it is
+ * queued; once downloaded, it waits until every earlier ticket is settled
+ * and is kept only if it still fits. A slow stylesheet is never squeezed
+ * out by a quick gallery image queued after it, while downloads still run
+ * in parallel - only the bookkeeping is ordered.
+ */
+
+class Budget {
+  /**
+   * options:
+   * - maxBytes: total bytes kept, the page included
+   * - maxAssets: assets fetched, not counting the page
+   */
+  constructor({ maxBytes, maxAssets }) {
+    this.maxBytes = maxBytes;
+    this.maxAssets = maxAssets;
+    this.bytes = 0;
+    this.queued = 0;
+    this.tail = Promise.resolve();
+  }
+
+  /**
+   * Why no more assets can be queued, or null if they can
+   */
+  exhausted() {
+    if (this.queued >= this.maxAssets) {
+      return `Asset limit reached (${this.maxAssets} assets)`;
+    }
+    if (this.bytes >= this.maxBytes) {
+      return `Size budget exhausted (${formatBytes(this.maxBytes)})`;
+    }
+    return null;
+  }
+
+  /**
+   * Queue an asset, taking the next ticket
+   * Every ticket must later be passed to admit() or release(), or the
+   * assets queued after it would wait forever
+   */
+  reserve() {
+    this.queued++;
+
+    let settle;
+    const settled = new Promise(resolve => { settle = resolve; });
+    const ticket = { previous: this.tail, settle };
+    this.tail = settled;
+    return ticket;
+  }
+
+  /**
+   * Keep a downloaded asset of size bytes if it fits, once every asset
+   * queued before it has been decided
+   * Returns false if it does not fit
+   */
+  async admit(ticket, size) {
+    await ticket.previous;
+
+    const fits = this.bytes + size <= this.maxBytes;
+    if (fits) {
+      this.bytes += size;
+    }
+
+    ticket.settle();
+    return fits;
+  }
+
+  /**
+   * Give up a ticket whose download failed
+   */
+  release(ticket) {
+    ticket.previous.then(ticket.settle);
+  }
+
+  /**
+   * Count bytes that are kept regardless of the budget (the page itself)
+   */
+  charge(size) {
+    this.bytes += size;
+  }
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024
+    ? `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`
+    : `${Math.round(bytes / 1024)} KB`;
+}
+
+module.exports = { Budget };
@@ -0,0 +1,186 @@
+/**
+ * Character Set Detection
+ *
+ * Works out how fetched bytes are encoded and decodes them to a string.
+ *
+ * Design Decision: Follows the order browsers use, so a replica reads the
+ * way the original page does:
+ * 1. A byte order mark
+ * 2. The charset parameter of the Content-Type header
+ * 3. A declaration in the document itself: <meta charset> or
+ *    <meta http-equiv="Content-Type"> for HTML, @charset for CSS,
+ *    <?xml encoding?> for SVG
+ * 4. A fallback: the referring page's encoding for CSS; for HTML, UTF-8
+ *    if the bytes are valid UTF-8 and windows-1252 otherwise
+ *
+ * Decoding uses the built-in TextDecoder, which knows every WHATWG
+ * encoding label (Shift_JIS, GBK, windows-1251, ISO-8859-x, ...).
+ */
+
+// How far into an HTML document to look for <meta charset>, as browsers do
+const HTML_SNIFF_BYTES = 1024;
+
+/**
+ * Resolve an encoding label to its canonical name, or null if unknown
+ */
+function normalizeEncoding(label) {
+  if (!label) return null;
+
+  try {
+    return new TextDecoder(label.trim()).encoding;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Encoding given by a byte order mark, or null
+ */
+function detectBOM(buffer) {
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return 'utf-8';
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) return 'utf-16be';
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) return 'utf-16le';
+  return null;
+}
+
+/**
+ * charset parameter of a Content-Type header, or null
+ */
+function charsetFromContentType(contentType) {
+  const match = (contentType || '').match(/;\s*charset\s*=\s*["']?([^"';\s]+)/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Encoding declared by <meta charset> or <meta http-equiv="Content-Type">
+ * in the start of an HTML document, or null
+ */
+function sniffHTMLCharset(buffer) {
+  // Every encoding a page can declare this way is ASCII-compatible, so
+  // reading the bytes as latin1 is enough to find the declaration
+  const head = buffer.subarray(0, HTML_SNIFF_BYTES).toString('latin1').replace(/<!--[\s\S]*?-->/g, '');
+  const metaTags = head.match(/<meta\s[^>]*>/gi) || [];
+
+  for (const tag of metaTags) {
+    const charset = tag.match(/\scharset\s*=\s*["']?([^"'\s/>;]+)/i);
+    if (charset) return charset[1];
+
+    if (/http-equiv\s*=\s*["']?content-type/i.test(tag)) {
+      const content = tag.match(/\scontent\s*=\s*(["'])(.*?)\1/i);
+      const declared = content && charsetFromContentType(`;${content[2].replace(/^[^;]*;?/, '')}`);
+      if (declared) return declared;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Encoding named by a CSS @charset rule, or null
+ * The rule only counts as the very first bytes of the sheet, in exactly
+ * this form
+ */
+function sniffCSSCharset(buffer) {
+  const match = buffer.subarray(0, 1024).toString('latin1').match(/^@charset "([^"]*)";/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Encoding named by an XML declaration, or null
+ */
+function sniffXMLCharset(buffer) {
+  const match = buffer.subarray(0, 1024).toString('latin1').match(/^<\?xml[^>]*\sencoding\s*=\s*["']([^"']+)["']/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Resolve an encoding declared inside the document itself
+ * A declaration can only be read because the document is ASCII-compatible,
+ * so one claiming UTF-16 is wrong - browsers treat it as UTF-8 too
+ */
+function inDocumentEncoding(label) {
+  const encoding = normalizeEncoding(label);
+  return encoding && encoding.startsWith('utf-16') ? 'utf-8' : encoding;
+}
+
+/**
+ * Decode with the first usable encoding from candidates
+ * Returns { text, encoding }
+ */
+function decodeWith(buffer, candidates, fallback) {
+  let encoding = null;
+
+  for (const label of candidates) {
+    encoding = normalizeEncoding(label);
+    if (encoding) break;
+  }
+
+  if (!encoding) {
+    encoding = typeof fallback === 'function' ? fallback(buffer) : fallback;
+  }
+
+  // TextDecoder drops the byte order mark by itself
+  return { text: new TextDecoder(encoding).decode(buffer), encoding };
+}
+
+/**
+ * UTF-8 if the bytes are valid UTF-8, windows-1252 otherwise
+ */
+function guessEncoding(buffer) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return 'utf-8';
+  } catch (error) {
+    return 'windows-1252';
+  }
+}
+
+/**
+ * Decode an HTML document
+ * Returns { text, encoding }
+ */
+function decodeHTML(buffer, contentType) {
+  return decodeWith(buffer, [
+    detectBOM(buffer),
+    charsetFromContentType(contentType),
+    inDocumentEncoding(sniffHTMLCharset(buffer))
+  ], guessEncoding);
+}
+
+/**
+ * Decode a stylesheet
+ * fallbackEncoding is the encoding of the page that linked it
+ * The @charset rule is removed - it would be wrong once the sheet is
+ * inlined into the UTF-8 replica
+ */
+function decodeCSS(buffer, contentType, fallbackEncoding = 'utf-8') {
+  const result = decodeWith(buffer, [
+    detectBOM(buffer),
+    charsetFromContentType(contentType),
+    inDocumentEncoding(sniffCSSCharset(buffer))
+  ], fallbackEncoding);
+
+  result.text = result.text.replace(/^@charset "[^"]*";/, '');
+  return result;
+}
+
+/**
+ * Decode an SVG (or other XML) document
+ */
+function decodeXML(buffer, contentType) {
+  return decodeWith(buffer, [
+    detectBOM(buffer),
+    charsetFromContentType(contentType),
+    sniffXMLCharset(buffer)
+  ], 'utf-8');
+}
+
+module.exports = {
+  normalizeEncoding,
+  detectBOM,
+  charsetFromContentType,
+  sniffHTMLCharset,
+  decodeHTML,
+  decodeCSS,
+  decodeXML
+};
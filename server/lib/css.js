@@ -0,0 +1,569 @@
+/**
+ * CSS Tokenizer
+ *
+ * Finds and rewrites URL references in CSS without regexes.
+ *
+ * Follows the CSS Syntax Level 3 tokenization rules closely enough that:
+ * - Comments and strings never produce false matches
+ * - Quoted and unquoted url() values are decoded, escapes included
+ * - Bare strings inside image-set() and @import count as URLs
+ * - Strings inside other functions (e.g. src: local("Font")) do not
+ *
+ * Design Decision: Every reference carries its start/end offsets in the
+ * source, so rewriting splices exactly the characters that were matched
+ * instead of string-replacing a URL that may also appear elsewhere.
+ */
+
+// Functions whose bare string arguments are image URLs
+const IMAGE_SET_FUNCTIONS = ['image-set', '-webkit-image-set'];
+
+function isWhitespace(ch) {
+  return ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r' || ch === '\f';
+}
+
+function isHexDigit(ch) {
+  return ch !== undefined && /[0-9a-fA-F]/.test(ch);
+}
+
+function isNameStart(ch) {
+  return ch !== undefined && (/[A-Za-z_]/.test(ch) || ch.charCodeAt(0) >= 0x80);
+}
+
+function isNameChar(ch) {
+  return isNameStart(ch) || (ch !== undefined && /[0-9-]/.test(ch));
+}
+
+function isValidEscape(css, i) {
+  return css[i] === '\\' && i + 1 < css.length && css[i + 1] !== '\n';
+}
+
+function isIdentStart(css, i) {
+  if (isNameStart(css[i]) || isValidEscape(css, i)) return true;
+  if (css[i] === '-') {
+    return isNameStart(css[i + 1]) || css[i + 1] === '-' || isValidEscape(css, i + 1);
+  }
+  return false;
+}
+
+/**
+ * Decode the escape whose backslash is at css[i]
+ * Returns: { value, end }
+ */
+function consumeEscape(css, i) {
+  let j = i + 1;
+
+  if (isHexDigit(css[j])) {
+    let hex = '';
+    while (hex.length < 6 && isHexDigit(css[j])) {
+      hex += css[j++];
+    }
+    if (isWhitespace(css[j])) j++;
+
+    const codePoint = parseInt(hex, 16);
+    const valid = codePoint > 0 && codePoint <= 0x10ffff && (codePoint < 0xd800 || codePoint > 0xdfff);
+    return { value: valid ? String.fromCodePoint(codePoint) : '�', end: j };
+  }
+
+  if (j >= css.length) {
+    return { value: '�', end: j };
+  }
+
+  return { value: css[j], end: j + 1 };
+}
+
+function consumeName(css, i) {
+  let value = '';
+
+  while (i < css.length) {
+    if (isNameChar(css[i])) {
+      value += css[i++];
+    } else if (isValidEscape(css, i)) {
+      const escape = consumeEscape(css, i);
+      value += escape.value;
+      i = escape.end;
+    } else {
+      break;
+    }
+  }
+
+  return { value, end: i };
+}
+
+/**
+ * Consume a quoted string starting at the quote css[i]
+ * An unescaped newline ends the string early (a bad-string in the spec)
+ */
+function consumeString(css, i) {
+  const quote = css[i];
+  let value = '';
+  let j = i + 1;
+
+  while (j < css.length) {
+    const ch = css[j];
+
+    if (ch === quote) {
+      return { type: 'string', value, end: j + 1 };
+    }
+    if (ch === '\n') {
+      return { type: 'bad-string', value, end: j };
+    }
+    if (ch === '\\') {
+      if (css[j + 1] === '\n') {
+        j += 2; // Escaped newline is a line continuation
+        continue;
+      }
+      const escape = consumeEscape(css, j);
+      value += escape.value;
+      j = escape.end;
+      continue;
+    }
+
+    value += ch;
+    j++;
+  }
+
+  return { type: 'string', value, end: j };
+}
+
+/**
+ * Consume an unquoted url( ... ) body; i points just past the "("
+ */
+function consumeUnquotedUrl(css, i) {
+  let value = '';
+  let j = i;
+
+  while (isWhitespace(css[j])) j++;
+
+  while (j < css.length) {
+    const ch = css[j];
+
+    if (ch === ')') {
+      return { type: 'url', value, end: j + 1 };
+    }
+
+    if (isWhitespace(ch)) {
+      while (isWhitespace(css[j])) j++;
+      if (css[j] === ')' || j >= css.length) {
+        return { type: 'url', value, end: Math.min(j + 1, css.length) };
+      }
+      return consumeBadUrl(css, j, value);
+    }
+
+    if (ch === '"' || ch === '\'' || ch === '(') {
+      return consumeBadUrl(css, j, value);
+    }
+
+    if (ch === '\\') {
+      if (!isValidEscape(css, j)) {
+        return consumeBadUrl(css, j, value);
+      }
+      const escape = consumeEscape(css, j);
+      value += escape.value;
+      j = escape.end;
+      continue;
+    }
+
+    value += ch;
+    j++;
+  }
+
+  return { type: 'url', value, end: j };
+}
+
+function consumeBadUrl(css, i, value) {
+  let j = i;
+
+  while (j < css.length && css[j] !== ')') {
+    j = isValidEscape(css, j) ? consumeEscape(css, j).end : j + 1;
+  }
+
+  return { type: 'bad-url', value, end: Math.min(j + 1, css.length) };
+}
+
+/**
+ * Split CSS into tokens
+ * Each token: { type, value, start, end }
+ *
+ * Types: comment, whitespace, string, bad-string, url, bad-url, function,
+ * ident, at-keyword, hash, number, delim and the punctuation characters
+ * ( ) [ ] { } ; : , used as their own type.
+ */
+function tokenize(css) {
+  const tokens = [];
+  let i = 0;
+
+  const push = (type, value, end) => {
+    tokens.push({ type, value, start: i, end });
+    i = end;
+  };
+
+  while (i < css.length) {
+    const ch = css[i];
+
+    if (ch === '/' && css[i + 1] === '*') {
+      const close = css.indexOf('*/', i + 2);
+      const end = close === -1 ? css.length : close + 2;
+      push('comment', css.slice(i, end), end);
+      continue;
+    }
+
+    if (isWhitespace(ch)) {
+      let end = i;
+      while (isWhitespace(css[end])) end++;
+      push('whitespace', css.slice(i, end), end);
+      continue;
+    }
+
+    if (ch === '"' || ch === '\'') {
+      const string = consumeString(css, i);
+      push(string.type, string.value, string.end);
+      continue;
+    }
+
+    if (ch === '@' && isIdentStart(css, i + 1)) {
+      const name = consumeName(css, i + 1);
+      push('at-keyword', name.value, name.end);
+      continue;
+    }
+
+    if (ch === '#' && (isNameChar(css[i + 1]) || isValidEscape(css, i + 1))) {
+      const name = consumeName(css, i + 1);
+      push('hash', name.value, name.end);
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(css[i + 1] || ''))) {
+      let end = i;
+      while (/[0-9.]/.test(css[end] || '')) end++;
+      if (css[end] === '%') {
+        end++;
+      } else if (isIdentStart(css, end)) {
+        end = consumeName(css, end).end;
+      }
+      push('number', css.slice(i, end), end);
+      continue;
+    }
+
+    if (isIdentStart(css, i)) {
+      const name = consumeName(css, i);
+
+      if (css[name.end] !== '(') {
+        push('ident', name.value, name.end);
+        continue;
+      }
+
+      // url( with an unquoted argument is a single token; url("...") is a
+      // function token followed by a string, like any other function
+      if (name.value.toLowerCase() === 'url') {
+        let next = name.end + 1;
+        while (isWhitespace(css[next])) next++;
+        if (css[next] !== '"' && css[next] !== '\'') {
+          const url = consumeUnquotedUrl(css, name.end + 1);
+          push(url.type, url.value, url.end);
+          continue;
+        }
+      }
+
+      push('function', name.value, name.end + 1);
+      continue;
+    }
+
+    if ('()[]{};:,'.includes(ch)) {
+      push(ch, ch, i + 1);
+      continue;
+    }
+
+    if (ch === '\\' && isValidEscape(css, i)) {
+      const escape = consumeEscape(css, i);
+      push('delim', escape.value, escape.end);
+      continue;
+    }
+
+    push('delim', ch, i + 1);
+  }
+
+  return tokens;
+}
+
+/**
+ * Find every URL reference in CSS
+ * Returns: [{ url, start, end, bare, import, fontFace }]
+ *
+ * start/end span the whole url(...) or, for bare strings in image-set()
+ * and @import, the string itself. import marks the target of an @import
+ * statement; fontFace marks references inside an @font-face block.
+ */
+function findUrls(css) {
+  const tokens = tokenize(css);
+  const refs = [];
+  const blocks = [];    // at-rule name (or null for style rules) per open {
+  const functions = []; // { name, start, string } per open (
+  let pendingAtRule = null;
+
+  const context = () => ({
+    import: pendingAtRule === 'import' && blocks.length === 0,
+    fontFace: blocks.includes('font-face')
+  });
+
+  tokens.forEach(token => {
+    switch (token.type) {
+      case 'at-keyword':
+        pendingAtRule = token.value.toLowerCase();
+        break;
+
+      case ';':
+        pendingAtRule = null;
+        break;
+
+      case '{':
+        blocks.push(pendingAtRule);
+        pendingAtRule = null;
+        break;
+
+      case '}':
+        blocks.pop();
+        pendingAtRule = null;
+        break;
+
+      case 'function':
+        functions.push({ name: token.value.toLowerCase(), start: token.start, string: null });
+        break;
+
+      case '(':
+        functions.push({ name: null, start: token.start, string: null });
+        break;
+
+      case ')': {
+        const fn = functions.pop();
+        if (fn && fn.name === 'url' && fn.string) {
+          refs.push({ url: fn.string.value, start: fn.start, end: token.end, bare: false, ...context() });
+        }
+        break;
+      }
+
+      case 'url':
+        refs.push({ url: token.value.trim(), start: token.start, end: token.end, bare: false, ...context() });
+        break;
+
+      case 'string': {
+        const fn = functions[functions.length - 1];
+        if (fn && fn.name === 'url') {
+          fn.string = fn.string || token;
+        } else if (fn && IMAGE_SET_FUNCTIONS.includes(fn.name)) {
+          refs.push({ url: token.value, start: token.start, end: token.end, bare: true, ...context() });
+        } else if (!fn && context().import) {
+          refs.push({ url: token.value, start: token.start, end: token.end, bare: true, ...context() });
+        }
+        break;
+      }
+    }
+  });
+
+  return refs;
+}
+
+/**
+ * Find top-level @import statements
+ * Returns: [{ statement, start, end, url, conditionText }]
+ * conditionText is the raw layer()/supports()/media part after the URL
+ */
+function findImports(css) {
+  const tokens = tokenize(css);
+  const imports = [];
+  let depth = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.type === '{') depth++;
+    if (token.type === '}') depth = Math.max(0, depth - 1);
+
+    if (depth > 0 || token.type !== 'at-keyword' || token.value.toLowerCase() !== 'import') {
+      continue;
+    }
+
+    // The URL is the first non-whitespace, non-comment token
+    let j = i + 1;
+    while (j < tokens.length && (tokens[j].type === 'whitespace' || tokens[j].type === 'comment')) j++;
+
+    const target = tokens[j];
+    if (!target) break;
+
+    let url = null;
+    let urlEnd = target.end;
+
+    if (target.type === 'string' || target.type === 'url') {
+      url = target.value.trim();
+    } else if (target.type === 'function' && target.value.toLowerCase() === 'url') {
+      let k = j + 1;
+      while (k < tokens.length && tokens[k].type !== ')') {
+        if (tokens[k].type === 'string' && url === null) url = tokens[k].value;
+        k++;
+      }
+      urlEnd = tokens[k] ? tokens[k].end : css.length;
+      j = k;
+    }
+
+    // Statement runs to the next ; at the top level, or a { which
+    // makes it invalid
+    let k = j + 1;
+    let nesting = 0;
+    while (k < tokens.length) {
+      const type = tokens[k].type;
+      if (type === '(' || type === 'function') nesting++;
+      if (type === ')') nesting--;
+      if (nesting <= 0 && (type === ';' || type === '{')) break;
+      k++;
+    }
+
+    const terminator = tokens[k];
+    if (terminator && terminator.type === '{') {
+      i = k - 1; // Invalid @import with a block - let the depth tracking see it
+      continue;
+    }
+
+    const end = terminator ? terminator.end : css.length;
+    const conditionEnd = terminator ? terminator.start : css.length;
+
+    if (url !== null) {
+      imports.push({
+        statement: css.slice(token.start, end),
+        start: token.start,
+        end,
+        url,
+        conditionText: css.slice(urlEnd, conditionEnd).trim()
+      });
+    }
+
+    i = k;
+  }
+
+  return imports;
+}
+
+/**
+ * Serialize a URL as a double-quoted CSS string
+ */
+function quoteString(value) {
+  return '"' + value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\a ')
+    .replace(/\r/g, '\\d ')
+    .replace(/\f/g, '\\c ') + '"';
+}
+
+/**
+ * Replace ranges of css, each { start, end }, with replacer(range, index)
+ * A replacer returning null leaves that range untouched. Ranges must not
+ * overlap.
+ */
+function replaceRanges(css, ranges, replacer) {
+  const sorted = ranges
+    .map((range, index) => ({ range, index }))
+    .sort((a, b) => a.range.start - b.range.start);
+
+  let output = '';
+  let cursor = 0;
+
+  sorted.forEach(({ range, index }) => {
+    const replacement = replacer(range, index);
+    if (replacement === null || replacement === undefined) return;
+
+    output += css.slice(cursor, range.start) + replacement;
+    cursor = range.end;
+  });
+
+  return output + css.slice(cursor);
+}
+
+/**
+ * Rewrite URL references in CSS
+ * replacer(ref) returns the new URL, or null to leave the reference as is.
+ * Rewritten references are always emitted quoted, so data URLs and URLs
+ * with spaces or parentheses stay valid.
+ */
+function rewriteUrls(css, replacer) {
+  return replaceRanges(css, findUrls(css), ref => {
+    const replacement = replacer(ref);
+    if (replacement === null || replacement === undefined) return null;
+
+    return ref.bare ? quoteString(replacement) : `url(${quoteString(replacement)})`;
+  });
+}
+
+/**
+ * Neutralize CSS features that can run script in some browsers:
+ * expression() (old IE), behavior / -moz-binding (HTC and XBL bindings)
+ * and javascript:/vbscript: URLs (or malformed ones). Works on tokens, so escapes like
+ * e\\xpression( and comments in between are caught too.
+ */
+function neutralizeUnsafeCSS(css) {
+  const tokens = tokenize(css);
+  const ranges = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const name = typeof token.value === 'string' ? token.value.toLowerCase() : '';
+
+    // Old IE drops comments before reading a name, so expr/**/ession( is
+    // an expression() too
+    let first = i;
+    let fullName = name;
+    for (let k = i - 1; k >= 0 && (tokens[k].type === 'comment' || tokens[k].type === 'ident'); k--) {
+      if (tokens[k].type === 'ident') {
+        fullName = tokens[k].value.toLowerCase() + fullName;
+        first = k;
+      }
+    }
+
+    if (token.type === 'function' && /expression$/.test(fullName)) {
+      // Blank out the whole call, up to its matching parenthesis
+      let depth = 1;
+      let j = i + 1;
+      while (j < tokens.length && depth > 0) {
+        if (tokens[j].type === '(' || tokens[j].type === 'function') depth++;
+        if (tokens[j].type === ')') depth--;
+        j++;
+      }
+      const end = j > i + 1 ? tokens[j - 1].end : css.length;
+      ranges.push({ start: tokens[first].start, end, replacement: 'none' });
+      i = j - 1;
+      continue;
+    }
+
+    // Browsers drop bad-url declarations, but there is no reason to keep one
+    if (token.type === 'bad-url') {
+      ranges.push({ start: token.start, end: token.end, replacement: 'url("about:invalid")' });
+    }
+
+    if (token.type === 'ident' && (name === 'behavior' || name === '-moz-binding')) {
+      ranges.push({ start: token.start, end: token.end, replacement: '-plunder-blocked' });
+    }
+  }
+
+  findUrls(css).forEach(ref => {
+    const scheme = ref.url.replace(/[\u0000-\u0020]/g, '').toLowerCase();
+    if (/^(javascript|vbscript|livescript):/.test(scheme)) {
+      ranges.push({ start: ref.start, end: ref.end, replacement: ref.bare ? '""' : 'url("about:invalid")' });
+    }
+  });
+
+  // A url() inside a blanked expression() is already covered
+  const sorted = ranges.sort((a, b) => a.start - b.start);
+  const disjoint = sorted.filter((range, index) =>
+    !sorted.slice(0, index).some(other => other.end > range.start)
+  );
+
+  return replaceRanges(css, disjoint, range => range.replacement);
+}
+
+module.exports = {
+  tokenize,
+  findUrls,
+  findImports,
+  rewriteUrls,
+  replaceRanges,
+  quoteString,
+  neutralizeUnsafeCSS
+};
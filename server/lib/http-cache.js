@@ -0,0 +1,355 @@
+/**
+ * HTTP Cache
+ *
+ * An on-disk cache of fetched responses, so capturing the same site again
+ * only downloads what changed.
+ *
+ * Design Decision: Follows HTTP caching rules rather than a fixed TTL:
+ * - Cache-Control max-age / s-maxage, then Expires, decide how long a
+ *   response is fresh; without them, 10% of its age since Last-Modified
+ * - Stale responses are revalidated with If-None-Match / If-Modified-Since,
+ *   so an unchanged asset costs a 304 instead of a full download
+ * - no-store responses and Vary: * are never stored
+ *
+ * Each entry is two files named after a hash of the URL and its variant
+ * (the device profile that requested it, since sites may serve phones
+ * different content): the body, and a JSON record of its metadata. The
+ * metadata of every entry is kept in memory in least-recently-used order,
+ * and the oldest entries are evicted once the bodies exceed maxSize.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Response headers kept with a cached body
+const STORED_HEADERS = [
+  'content-type', 'content-language', 'etag', 'last-modified',
+  'cache-control', 'expires', 'date', 'x-robots-tag'
+];
+
+// Heuristic freshness without explicit lifetimes is capped at one day
+const MAX_HEURISTIC_LIFETIME = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a Cache-Control header into { directive: value | true }
+ */
+function parseCacheControl(header) {
+  const directives = {};
+
+  (header || '').split(',').forEach(part => {
+    const [name, value] = part.split('=');
+    if (name.trim()) {
+      directives[name.trim().toLowerCase()] = value === undefined ? true : value.trim().replace(/^"|"$/g, '');
+    }
+  });
+
+  return directives;
+}
+
+class HttpCache {
+  /**
+   * options:
+   * - dir: directory holding the cache files
+   * - maxSize: total body bytes kept before evicting
+   * - enabled: false turns every operation into a miss
+   */
+  constructor({ dir, maxSize, enabled = true }) {
+    this.dir = dir;
+    this.maxSize = maxSize;
+    this.enabled = enabled;
+    this.index = new Map();
+    this.size = 0;
+    this.loading = null;
+  }
+
+  keyFor(url, variant = '') {
+    return crypto.createHash('sha256').update(variant ? `${variant} ${url}` : url).digest('hex');
+  }
+
+  filePath(key, extension) {
+    return path.join(this.dir, `${key}.${extension}`);
+  }
+
+  /**
+   * Read the metadata of every entry on disk, least recently used first
+   * (by file modification time, which get() touches)
+   * A failed load (e.g. the directory cannot be created) is forgotten,
+   * so the next call tries again rather than failing until a restart
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+
+        const files = (await fs.promises.readdir(this.dir)).filter(name => name.endsWith('.json'));
+        const entries = await Promise.all(files.map(async (name) => {
+          try {
+            const file = path.join(this.dir, name);
+            const [text, stat] = await Promise.all([fs.promises.readFile(file, 'utf8'), fs.promises.stat(file)]);
+            return { ...JSON.parse(text), lastAccess: stat.mtimeMs };
+          } catch (error) {
+            return null; // Half-written or corrupt entry - ignore it
+          }
+        }));
+
+        entries
+          .filter(Boolean)
+          .sort((a, b) => a.lastAccess - b.lastAccess)
+          .forEach(entry => {
+            this.index.set(entry.key, entry);
+            this.size += entry.size;
+          });
+      })().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Look up a URL as stored for variant
+   * Returns the cached entry with its body, or null
+   */
+  async get(url, variant) {
+    if (!this.enabled) return null;
+
+    try {
+      await this.load();
+
+      const key = this.keyFor(url, variant);
+      const entry = this.index.get(key);
+      if (!entry) return null;
+
+      const body = await fs.promises.readFile(this.filePath(key, 'body'));
+      this.touch(entry);
+      return { ...entry, body };
+    } catch (error) {
+      console.error(`HTTP cache read failed for ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Whether an entry can be used without asking the server
+   */
+  isFresh(entry) {
+    return Date.now() < entry.expires;
+  }
+
+  /**
+   * Request headers that ask the server whether an entry changed
+   */
+  validators(entry) {
+    const headers = {};
+    if (entry.headers.etag) headers['If-None-Match'] = entry.headers.etag;
+    if (entry.headers['last-modified']) headers['If-Modified-Since'] = entry.headers['last-modified'];
+    return headers;
+  }
+
+  /**
+   * How long a response stays fresh in ms, or null if it must not be stored
+   */
+  lifetime(headers) {
+    const cacheControl = parseCacheControl(headers['cache-control']);
+
+    if (cacheControl['no-store'] || headers.vary === '*') {
+      return null;
+    }
+
+    if (cacheControl['no-cache']) {
+      return 0;
+    }
+
+    const age = (parseInt(headers.age, 10) || 0) * 1000;
+    const maxAge = parseInt(cacheControl['s-maxage'] ?? cacheControl['max-age'], 10);
+    if (!isNaN(maxAge)) {
+      return Math.max(0, maxAge * 1000 - age);
+    }
+
+    const date = Date.parse(headers.date) || Date.now();
+    const expires = Date.parse(headers.expires);
+    if (headers.expires !== undefined) {
+      return isNaN(expires) ? 0 : Math.max(0, expires - date - age);
+    }
+
+    const lastModified = Date.parse(headers['last-modified']);
+    if (!isNaN(lastModified)) {
+      return Math.min(MAX_HEURISTIC_LIFETIME, Math.max(0, (date - lastModified) / 10 - age));
+    }
+
+    return 0;
+  }
+
+  pickHeaders(headers) {
+    const picked = {};
+    STORED_HEADERS.forEach(name => {
+      if (headers[name] !== undefined) picked[name] = String(headers[name]);
+    });
+    return picked;
+  }
+
+  /**
+   * Store a 200 response for variant
+   * finalUrl is where redirects from url ended, so relative references in
+   * a cached stylesheet still resolve against the right file
+   */
+  async put(url, variant, finalUrl, headers, body) {
+    if (!this.enabled) return;
+
+    const lifetime = this.lifetime(headers);
+    if (lifetime === null || body.length > this.maxSize) return;
+
+    try {
+      await this.load();
+
+      const key = this.keyFor(url, variant);
+      const entry = {
+        key,
+        url,
+        variant: variant || null,
+        finalUrl,
+        headers: this.pickHeaders(headers),
+        size: body.length,
+        storedAt: Date.now(),
+        expires: Date.now() + lifetime
+      };
+
+      await fs.promises.writeFile(this.filePath(key, 'body'), body);
+      await this.writeMeta(entry);
+
+      const previous = this.index.get(key);
+      if (previous) {
+        this.size -= previous.size;
+        this.index.delete(key);
+      }
+
+      this.index.set(key, { ...entry, lastAccess: Date.now() });
+      this.size += entry.size;
+
+      await this.evict();
+    } catch (error) {
+      console.error(`HTTP cache write failed for ${url}:`, error.message);
+    }
+  }
+
+  /**
+   * Extend an entry after the server answered 304 Not Modified
+   */
+  async refresh(entry, headers) {
+    const stored = this.index.get(entry.key);
+    if (!stored) return;
+
+    const updated = { ...stored.headers, ...this.pickHeaders(headers) };
+    const lifetime = this.lifetime(updated);
+
+    if (lifetime === null) {
+      await this.remove(entry.key);
+      return;
+    }
+
+    stored.headers = updated;
+    stored.expires = Date.now() + lifetime;
+
+    try {
+      await this.writeMeta(stored);
+    } catch (error) {
+      console.error(`HTTP cache write failed for ${entry.url}:`, error.message);
+    }
+  }
+
+  async writeMeta(entry) {
+    const { lastAccess, ...meta } = entry;
+    const file = this.filePath(entry.key, 'json');
+
+    // Write then rename, so a crash never leaves half a record
+    const temporary = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(temporary, JSON.stringify(meta));
+    await fs.promises.rename(temporary, file);
+  }
+
+  /**
+   * Mark an entry as just used: last in LRU order, in memory and on disk
+   */
+  touch(entry) {
+    const stored = this.index.get(entry.key);
+    if (!stored) return;
+
+    this.index.delete(entry.key);
+    this.index.set(entry.key, stored);
+    stored.lastAccess = Date.now();
+
+    const now = new Date();
+    fs.promises.utimes(this.filePath(entry.key, 'json'), now, now).catch(() => {});
+  }
+
+  /**
+   * Drop least recently used entries until the cache fits in maxSize
+   */
+  async evict() {
+    for (const key of this.index.keys()) {
+      if (this.size <= this.maxSize) break;
+      await this.remove(key);
+    }
+  }
+
+  async remove(key) {
+    const entry = this.index.get(key);
+    if (!entry) return false;
+
+    this.index.delete(key);
+    this.size -= entry.size;
+
+    await Promise.all(['json', 'body'].map(extension =>
+      fs.promises.unlink(this.filePath(key, extension)).catch(() => {})
+    ));
+    return true;
+  }
+
+  /**
+   * Summary of the cache and its entries, most recently used first
+   */
+  async inspect() {
+    if (this.enabled) await this.load();
+
+    const now = Date.now();
+    const entries = [...this.index.values()].reverse().map(entry => ({
+      url: entry.url,
+      variant: entry.variant || null,
+      contentType: entry.headers['content-type'] || null,
+      size: entry.size,
+      storedAt: new Date(entry.storedAt).toISOString(),
+      lastAccess: new Date(entry.lastAccess).toISOString(),
+      expires: new Date(entry.expires).toISOString(),
+      fresh: now < entry.expires,
+      revalidatable: !!(entry.headers.etag || entry.headers['last-modified'])
+    }));
+
+    return {
+      enabled: this.enabled,
+      size: this.size,
+      maxSize: this.maxSize,
+      count: entries.length,
+      entries
+    };
+  }
+
+  /**
+   * Remove one URL (in every variant), or every entry when url is omitted
+   * Returns the number of entries removed
+   */
+  async purge(url) {
+    if (!this.enabled) return 0;
+    await this.load();
+
+    const keys = [...this.index.values()]
+      .filter(entry => !url || entry.url === url)
+      .map(entry => entry.key);
+    const removed = await Promise.all(keys.map(key => this.remove(key)));
+    return removed.filter(Boolean).length;
+  }
+}
+
+module.exports = { HttpCache, parseCacheControl };
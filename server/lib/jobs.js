@@ -0,0 +1,162 @@
+/**
+ * Jobs
+ *
+ * Replications running in the background, so a client can start one,
+ * disconnect, and poll for the result or follow its progress.
+ *
+ * Design Decision: Jobs live in memory, like the storage MCP's sessions:
+ * this is a local tool and a restart losing running captures is fine.
+ * Every progress event is kept with a sequence number, so a client that
+ * subscribes late (or reconnects) first gets the events it missed.
+ * Finished jobs are dropped after a while, since each holds a replica.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+class JobStore {
+  /**
+   * options:
+   * - ttl: ms a finished job is kept
+   * - maxJobs: jobs kept at once, running or finished
+   */
+  constructor({ ttl, maxJobs }) {
+    this.ttl = ttl;
+    this.maxJobs = maxJobs;
+    this.jobs = new Map();
+  }
+
+  /**
+   * Start a job running task(onProgress, signal), which resolves to the
+   * result - signal is aborted if the job is cancelled
+   * Returns the job; throws if too many jobs are still running
+   */
+  create(url, task) {
+    if (this.jobs.size >= this.maxJobs) {
+      this.evictFinished();
+    }
+    if (this.jobs.size >= this.maxJobs) {
+      throw new Error(`Too many jobs running (${this.maxJobs}) - try again later`);
+    }
+
+    const job = {
+      id: `job_${crypto.randomBytes(8).toString('hex')}`,
+      url,
+      status: 'running',
+      step: null,
+      percent: 0,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      result: null,
+      error: null,
+      events: [],
+      emitter: new EventEmitter(),
+      controller: new AbortController()
+    };
+    this.jobs.set(job.id, job);
+
+    // A cancelled job is already finished when its task settles
+    Promise.resolve()
+      .then(() => task(event => job.status === 'running' && this.record(job, event), job.controller.signal))
+      .then(result => {
+        if (job.status !== 'running') return;
+        job.result = result;
+        this.finish(job, 'done', { type: 'done', stats: result.stats });
+      }, error => {
+        if (job.status !== 'running') return;
+        job.error = error.message || 'Failed to replicate website';
+        this.finish(job, 'failed', { type: 'failed', error: job.error });
+      });
+
+    return job;
+  }
+
+  /**
+   * Cancel a running job: its task is aborted, and the job finishes
+   * as cancelled straight away
+   */
+  cancel(job) {
+    if (job.status !== 'running') return;
+
+    job.error = 'Replication cancelled';
+    this.finish(job, 'cancelled', { type: 'cancelled', error: job.error });
+    job.controller.abort(new Error(job.error));
+  }
+
+  /**
+   * Forget a job, cancelling it first if it is still running
+   */
+  remove(job) {
+    this.cancel(job);
+    this.jobs.delete(job.id);
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Call listener with every event after sequence number `after`, then
+   * with new ones as they happen
+   * Returns a function that stops listening
+   */
+  subscribe(job, after, listener) {
+    job.events.filter(event => event.id > after).forEach(listener);
+    job.emitter.on('event', listener);
+    return () => job.emitter.off('event', listener);
+  }
+
+  /**
+   * The job as clients see it; the result only once it is done
+   */
+  describe(job) {
+    return {
+      id: job.id,
+      url: job.url,
+      status: job.status,
+      step: job.step,
+      percent: job.percent,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      ...(job.status === 'done' ? {
+        html: job.result.html,
+        stats: job.result.stats,
+        manifest: job.result.manifest,
+        replicaId: job.result.replicaId
+      } : {}),
+      ...(job.error ? { error: job.error } : {})
+    };
+  }
+
+  record(job, event) {
+    const numbered = { id: job.events.length + 1, ...event };
+    if (event.step) job.step = event.step;
+    if (event.percent !== undefined) job.percent = event.percent;
+
+    job.events.push(numbered);
+    job.emitter.emit('event', numbered);
+  }
+
+  finish(job, status, event) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    if (status === 'done') job.percent = 100;
+
+    this.record(job, { ...event, percent: job.percent });
+    job.emitter.removeAllListeners();
+
+    setTimeout(() => this.jobs.delete(job.id), this.ttl).unref();
+  }
+
+  /**
+   * Drop the oldest finished job to make room
+   */
+  evictFinished() {
+    const oldest = [...this.jobs.values()].find(job => job.status !== 'running');
+    if (oldest) {
+      this.jobs.delete(oldest.id);
+    }
+  }
+}
+
+module.exports = { JobStore };
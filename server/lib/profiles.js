@@ -0,0 +1,290 @@
+/**
+ * Device Profiles
+ *
+ * The device a replication pretends to be. A profile decides the headers
+ * sent with every request (User-Agent, Accept-Language, client hints) and
+ * the viewport used to choose between responsive images.
+ *
+ * Design Decision: Sites that adapt to phones do it on the server (by
+ * User-Agent or client hints) and in the markup (srcset, <picture media>).
+ * Without a browser there is no layout, so the viewport only answers the
+ * questions markup asks: media queries and srcset candidates.
+ */
+
+const crypto = require('crypto');
+
+// Built-in profiles, by name
+const PROFILES = {
+  desktop: {
+    label: 'Desktop',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    acceptLanguage: 'en-US,en;q=0.9',
+    viewport: { width: 1920, height: 1080, deviceScaleFactor: 1 },
+    mobile: false,
+    platform: 'Windows',
+    brands: '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"'
+  },
+  tablet: {
+    label: 'Tablet (iPad)',
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1',
+    acceptLanguage: 'en-US,en;q=0.9',
+    viewport: { width: 820, height: 1180, deviceScaleFactor: 2 },
+    mobile: false,
+    platform: 'iOS',
+    brands: null // Safari sends no client hints
+  },
+  iphone: {
+    label: 'iPhone',
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1',
+    acceptLanguage: 'en-US,en;q=0.9',
+    viewport: { width: 390, height: 844, deviceScaleFactor: 3 },
+    mobile: true,
+    platform: 'iOS',
+    brands: null
+  },
+  android: {
+    label: 'Android',
+    userAgent: 'Mozilla/5.0 (Linux; Android 14; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+    acceptLanguage: 'en-US,en;q=0.9',
+    viewport: { width: 412, height: 915, deviceScaleFactor: 2.625 },
+    mobile: true,
+    platform: 'Android',
+    brands: '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"'
+  }
+};
+
+const DEFAULT_PROFILE = 'desktop';
+
+// Font size assumed for em and rem lengths in media queries and sizes
+const ROOT_FONT_SIZE = 16;
+
+/**
+ * Look up a profile by name, or build a custom one from an object:
+ * { extends?, label?, userAgent?, acceptLanguage?, width?, height?,
+ *   deviceScaleFactor?, mobile? } - unset fields come from the profile
+ * it extends (desktop by default)
+ * Returns the profile with its name; throws if the option is invalid
+ */
+function resolveProfile(option = DEFAULT_PROFILE) {
+  if (typeof option === 'string') {
+    const profile = PROFILES[option.trim().toLowerCase()];
+    if (!profile) {
+      throw new Error(`Unknown profile "${option}" - expected one of: ${Object.keys(PROFILES).join(', ')}, or a custom profile object`);
+    }
+    return { name: option.trim().toLowerCase(), ...profile };
+  }
+
+  if (!option || typeof option !== 'object' || Array.isArray(option)) {
+    throw new Error('Invalid profile option - expected a profile name or object');
+  }
+
+  const base = resolveProfile(option.extends || DEFAULT_PROFILE);
+  const viewport = { ...base.viewport };
+
+  ['width', 'height', 'deviceScaleFactor'].forEach(field => {
+    if (option[field] === undefined) return;
+    const value = Number(option[field]);
+    if (!Number.isFinite(value) || value <= 0 || value > 10000) {
+      throw new Error(`Invalid profile ${field} - expected a positive number`);
+    }
+    viewport[field] = value;
+  });
+
+  ['userAgent', 'acceptLanguage', 'label'].forEach(field => {
+    if (option[field] !== undefined && (typeof option[field] !== 'string' || /[\r\n]/.test(option[field]))) {
+      throw new Error(`Invalid profile ${field} - expected a single-line string`);
+    }
+  });
+
+  const profile = {
+    label: option.label || `Custom (${viewport.width}×${viewport.height})`,
+    userAgent: option.userAgent || base.userAgent,
+    acceptLanguage: option.acceptLanguage || base.acceptLanguage,
+    viewport,
+    mobile: option.mobile === undefined ? base.mobile : !!option.mobile,
+    platform: base.platform,
+    // Client hints only make sense while the User-Agent is the base's
+    brands: option.userAgent ? null : base.brands
+  };
+
+  // A stable name, so cached responses are shared between identical
+  // custom profiles but never with other devices
+  const digest = crypto.createHash('sha256').update(JSON.stringify(profile)).digest('hex').slice(0, 8);
+  return { name: `custom-${digest}`, ...profile };
+}
+
+/**
+ * Request headers a browser on this device sends with every request
+ */
+function profileHeaders(profile) {
+  const headers = {
+    'User-Agent': profile.userAgent,
+    'Accept-Language': profile.acceptLanguage
+  };
+
+  if (profile.brands) {
+    headers['Sec-CH-UA'] = profile.brands;
+    headers['Sec-CH-UA-Mobile'] = profile.mobile ? '?1' : '?0';
+    headers['Sec-CH-UA-Platform'] = `"${profile.platform}"`;
+    headers['Sec-CH-DPR'] = String(profile.viewport.deviceScaleFactor);
+    headers['Sec-CH-Viewport-Width'] = String(profile.viewport.width);
+  }
+
+  return headers;
+}
+
+/**
+ * A CSS length in px for this viewport, or null if it cannot be computed
+ * (calc(), percentages and unknown units)
+ */
+function parseLength(value, viewport) {
+  const match = String(value).trim().match(/^(-?\d*\.?\d+)(px|em|rem|vw|vh)?$/i);
+  if (!match) return null;
+
+  const number = parseFloat(match[1]);
+  switch ((match[2] || '').toLowerCase()) {
+    case 'em':
+    case 'rem':
+      return number * ROOT_FONT_SIZE;
+    case 'vw':
+      return number * viewport.width / 100;
+    case 'vh':
+      return number * viewport.height / 100;
+    case 'px':
+      return number;
+    default:
+      return number === 0 ? 0 : null; // Unitless lengths must be 0
+  }
+}
+
+/**
+ * A resolution in dppx, or null
+ */
+function parseResolution(value) {
+  const match = String(value).trim().match(/^(\d*\.?\d+)(dppx|x|dpi|dpcm)?$/i);
+  if (!match) return null;
+
+  const number = parseFloat(match[1]);
+  switch ((match[2] || '').toLowerCase()) {
+    case 'dpi':
+      return number / 96;
+    case 'dpcm':
+      return number * 2.54 / 96;
+    default:
+      return number; // dppx, x, or a bare -webkit-device-pixel-ratio
+  }
+}
+
+/**
+ * Evaluate one media feature like "(min-width: 600px)" or
+ * "(width >= 600px)" - unknown features never match, as in browsers
+ */
+function matchesFeature(feature, profile) {
+  const { width, height, deviceScaleFactor } = profile.viewport;
+  const compare = (actual, op, expected) => expected !== null && ({
+    '<': actual < expected,
+    '<=': actual <= expected,
+    '>': actual > expected,
+    '>=': actual >= expected,
+    '=': actual === expected
+  })[op];
+
+  // Range syntax, with the feature on either side
+  const range = feature.match(/^(width|height)\s*(<=|>=|<|>|=)\s*(.+)$/i)
+    || feature.match(/^(.+?)\s*(<=|>=|<|>|=)\s*(width|height)$/i);
+  if (range) {
+    const flipped = /^(width|height)$/i.test(range[3]);
+    const name = (flipped ? range[3] : range[1]).toLowerCase();
+    const op = flipped ? { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '=': '=' }[range[2]] : range[2];
+    const length = parseLength(flipped ? range[1] : range[3], profile.viewport);
+    return compare(name === 'width' ? width : height, op, length);
+  }
+
+  const [rawName, rawValue = ''] = feature.split(':');
+  const name = rawName.trim().toLowerCase();
+  const value = rawValue.trim().toLowerCase();
+
+  switch (name) {
+    case 'width': return compare(width, '=', parseLength(value, profile.viewport));
+    case 'min-width': return compare(width, '>=', parseLength(value, profile.viewport));
+    case 'max-width': return compare(width, '<=', parseLength(value, profile.viewport));
+    case 'height': return compare(height, '=', parseLength(value, profile.viewport));
+    case 'min-height': return compare(height, '>=', parseLength(value, profile.viewport));
+    case 'max-height': return compare(height, '<=', parseLength(value, profile.viewport));
+    case 'orientation': return value === (height >= width ? 'portrait' : 'landscape');
+    case 'min-resolution':
+    case '-webkit-min-device-pixel-ratio':
+      return compare(deviceScaleFactor, '>=', parseResolution(value));
+    case 'max-resolution':
+    case '-webkit-max-device-pixel-ratio':
+      return compare(deviceScaleFactor, '<=', parseResolution(value));
+    case 'hover':
+    case 'any-hover':
+      return value === '' || value === (profile.mobile ? 'none' : 'hover');
+    case 'pointer':
+    case 'any-pointer':
+      return value === '' || value === (profile.mobile ? 'coarse' : 'fine');
+    case 'prefers-color-scheme': return value === 'light';
+    case 'prefers-reduced-motion': return value === 'no-preference';
+    case 'color': return true;
+    default: return false;
+  }
+}
+
+/**
+ * Whether a media query list (as in <source media> or sizes) matches
+ * the profile's screen
+ */
+function matchesMedia(query, profile) {
+  if (!query || !query.trim()) return true;
+
+  return query.split(',').some(part => {
+    let text = part.trim().toLowerCase();
+    const negated = /^not\s/.test(text);
+    text = text.replace(/^(not|only)\s+/, '');
+
+    // Media type, then features joined by "and"
+    const type = text.match(/^([a-z-]+)(\s+and\s+|$)/);
+    let matches = true;
+    if (type) {
+      matches = type[1] === 'all' || type[1] === 'screen';
+      text = text.slice(type[0].length);
+    }
+
+    const features = text.match(/\(([^()]*)\)/g) || [];
+    if (text.replace(/\([^()]*\)|\s+and\s+|\s+/g, '') !== '') {
+      matches = false; // "or", nested conditions and other syntax we do not evaluate
+    }
+
+    matches = matches && features.every(feature => matchesFeature(feature.slice(1, -1).trim(), profile));
+    return negated ? !matches : matches;
+  });
+}
+
+/**
+ * Width in px an image will be drawn at, from an <img sizes> attribute
+ * (the first entry whose media condition matches; 100vw without one)
+ */
+function slotWidth(sizes, profile) {
+  const entries = (sizes || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+  for (const entry of entries) {
+    const match = entry.match(/^(.*?)\s*(\S+)$/);
+    const condition = match[1];
+    if (condition && !matchesMedia(condition.replace(/^not\s/i, 'not all and '), profile)) continue;
+
+    const width = parseLength(match[2], profile.viewport);
+    if (width !== null && width > 0) return width;
+  }
+
+  return profile.viewport.width;
+}
+
+module.exports = {
+  PROFILES,
+  DEFAULT_PROFILE,
+  resolveProfile,
+  profileHeaders,
+  matchesMedia,
+  slotWidth
+};
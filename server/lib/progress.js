@@ -0,0 +1,82 @@
+/**
+ * Replication Progress
+ *
+ * Turns the steps of one replication into progress events for whoever is
+ * watching it (the jobs API streams them to the browser).
+ *
+ * Design Decision: Each step owns a fixed share of the progress bar, and
+ * steps that fetch many files fill their share as the files complete.
+ * The number of files is only known once a step starts - and grows while
+ * @import chains are followed - so the shares are estimates, but the bar
+ * only ever moves forward.
+ */
+
+// Steps in order, with the share of the whole each one takes
+const STEPS = [
+  { name: 'robots', share: 0.02 },
+  { name: 'html', share: 0.08 },
+  { name: 'parse', share: 0.05 },
+  { name: 'stylesheets', share: 0.2 },
+  { name: 'assets', share: 0.55 },
+  { name: 'rewrite', share: 0.1 }
+];
+
+class Progress {
+  /**
+   * listener is called with every event; without one, events are dropped
+   */
+  constructor(listener = null) {
+    this.listener = listener;
+    this.step = null;
+    this.completed = 0;
+    this.total = 0;
+    this.percent = 0;
+  }
+
+  /**
+   * Start a step, expecting total files to be fetched in it
+   */
+  startStep(name, message, total = 0) {
+    this.step = name;
+    this.completed = 0;
+    this.total = total;
+    this.emit({ type: 'step', step: name, message });
+  }
+
+  /**
+   * More files were found for the current step
+   */
+  expect(count) {
+    this.total += count;
+  }
+
+  /**
+   * A file of the current step finished
+   * status: 'fetched', 'failed' or 'skipped' (over budget), with the
+   * reason for the last two
+   */
+  asset(kind, url, status, reason = null) {
+    this.completed++;
+    this.emit({ type: 'asset', step: this.step, kind, url, status, ...(reason ? { reason } : {}) });
+  }
+
+  emit(event) {
+    this.percent = Math.max(this.percent, this.currentPercent());
+    if (this.listener) {
+      this.listener({ ...event, completed: this.completed, total: this.total, percent: this.percent });
+    }
+  }
+
+  /**
+   * Percent done: the shares of earlier steps, plus the part of this
+   * step's share its completed files make up
+   */
+  currentPercent() {
+    const index = STEPS.findIndex(step => step.name === this.step);
+    const before = STEPS.slice(0, index).reduce((sum, step) => sum + step.share, 0);
+    const fraction = this.total > 0 ? Math.min(this.completed / this.total, 1) : 0;
+    return Math.round((before + STEPS[index].share * fraction) * 100);
+  }
+}
+
+module.exports = { Progress };
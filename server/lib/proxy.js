@@ -0,0 +1,185 @@
+/**
+ * Outbound Proxy
+ *
+ * Chooses the proxy, if any, for each URL the fetcher requests, and the
+ * agent that connects through it.
+ *
+ * Design Decision: Follows the variables curl and most tools share, so a
+ * machine already set up for a corporate proxy works unchanged:
+ * HTTPS_PROXY for https: URLs, HTTP_PROXY for http: URLs, ALL_PROXY for
+ * both and NO_PROXY for exceptions (lower-case names work too). A JSON file
+ * named by FETCH_PROXY_CONFIG replaces them all. Proxies may be http:,
+ * https:, socks5: or socks5h: (the proxy resolves names) URLs, with
+ * user:password for authentication.
+ *
+ * One agent per proxy and target protocol is shared by every request, so
+ * connections to the proxy are kept alive and reused.
+ */
+
+const fs = require('fs');
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks5:', 'socks5h:'];
+
+/**
+ * Parse a proxy URL, accepting "host:port" as shorthand for http://
+ * Returns a URL, or null for an empty setting
+ */
+function parseProxyUrl(value, setting) {
+  if (!value || !value.trim()) return null;
+
+  const text = /^[a-z][a-z0-9+.-]*:\/\//i.test(value.trim()) ? value.trim() : `http://${value.trim()}`;
+  let url;
+  try {
+    url = new URL(text);
+  } catch (error) {
+    throw new Error(`Invalid proxy URL in ${setting}`);
+  }
+
+  if (!PROXY_PROTOCOLS.includes(url.protocol)) {
+    throw new Error(`Unsupported proxy protocol ${url.protocol} in ${setting} - expected http, https, socks5 or socks5h`);
+  }
+
+  return url;
+}
+
+/**
+ * A proxy URL safe to log: without its password
+ */
+function redact(url) {
+  if (!url.password) return url.href;
+  const copy = new URL(url.href);
+  copy.password = '***';
+  return copy.href;
+}
+
+/**
+ * Parse NO_PROXY: hosts (matching their subdomains too), optionally with
+ * a port, or "*" for everything
+ */
+function parseNoProxy(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+
+  return entries
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .map(entry => {
+      if (entry === '*') return { any: true };
+
+      // [::1]:8080, [::1], example.com:8080 - a bare IPv6 address has no port
+      const bracketed = entry.match(/^\[([^\]]+)\](?::(\d+))?$/);
+      const withPort = !bracketed && entry.split(':').length === 2 && entry.match(/^(.+):(\d+)$/);
+      const host = bracketed ? bracketed[1] : withPort ? withPort[1] : entry;
+      const port = bracketed ? bracketed[2] : withPort ? withPort[2] : undefined;
+
+      return { host: host.replace(/^\*?\./, ''), port: port ? Number(port) : null };
+    });
+}
+
+class ProxyConfig {
+  /**
+   * options:
+   * - http: proxy for http: URLs
+   * - https: proxy for https: URLs
+   * - noProxy: NO_PROXY-style list (string or array) of hosts to reach directly
+   */
+  constructor({ http = null, https = null, noProxy = [] } = {}) {
+    this.proxies = {
+      'http:': parseProxyUrl(http, 'the http proxy'),
+      'https:': parseProxyUrl(https, 'the https proxy')
+    };
+    this.noProxy = parseNoProxy(noProxy);
+    this.agents = new Map();
+  }
+
+  /**
+   * Build the configuration from FETCH_PROXY_CONFIG, a JSON file like
+   * { "http": "...", "https": "...", "all": "...", "noProxy": "..." },
+   * or else from HTTP_PROXY, HTTPS_PROXY, ALL_PROXY and NO_PROXY
+   */
+  static fromEnv(env = process.env) {
+    const variable = (name) => env[name] || env[name.toLowerCase()] || null;
+
+    if (env.FETCH_PROXY_CONFIG) {
+      let config;
+      try {
+        config = JSON.parse(fs.readFileSync(env.FETCH_PROXY_CONFIG, 'utf8'));
+      } catch (error) {
+        throw new Error(`Could not read FETCH_PROXY_CONFIG ${env.FETCH_PROXY_CONFIG}: ${error.message}`);
+      }
+
+      return new ProxyConfig({
+        http: config.http || config.all,
+        https: config.https || config.all,
+        noProxy: config.noProxy
+      });
+    }
+
+    return new ProxyConfig({
+      http: variable('HTTP_PROXY') || variable('ALL_PROXY'),
+      https: variable('HTTPS_PROXY') || variable('ALL_PROXY'),
+      noProxy: variable('NO_PROXY')
+    });
+  }
+
+  /**
+   * The proxy URL to request url through, or null to connect directly
+   */
+  proxyFor(url) {
+    const { protocol, hostname, port } = new URL(url);
+    const proxy = this.proxies[protocol];
+    if (!proxy) return null;
+
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    const effectivePort = Number(port) || (protocol === 'https:' ? 443 : 80);
+    const bypass = this.noProxy.some(entry =>
+      entry.any || (
+        (host === entry.host || host.endsWith(`.${entry.host}`)) &&
+        (entry.port === null || entry.port === effectivePort)
+      )
+    );
+
+    return bypass ? null : proxy;
+  }
+
+  /**
+   * The shared agent that connects to url through its proxy, or null
+   */
+  agentFor(url) {
+    const proxy = this.proxyFor(url);
+    if (!proxy) return null;
+
+    const targetProtocol = new URL(url).protocol;
+    const key = `${targetProtocol} ${proxy.href}`;
+
+    if (!this.agents.has(key)) {
+      let agent;
+      if (proxy.protocol.startsWith('socks')) {
+        agent = new SocksProxyAgent(proxy, { keepAlive: true });
+      } else if (targetProtocol === 'https:') {
+        // CONNECT tunnel: TLS runs end to end with the site
+        agent = new HttpsProxyAgent(proxy, { keepAlive: true });
+      } else {
+        agent = new HttpProxyAgent(proxy, { keepAlive: true });
+      }
+      this.agents.set(key, agent);
+    }
+
+    return this.agents.get(key);
+  }
+
+  /**
+   * Summary for logs, with passwords hidden
+   */
+  describe() {
+    const proxies = Object.entries(this.proxies)
+      .filter(([, proxy]) => proxy)
+      .map(([protocol, proxy]) => `${protocol} via ${redact(proxy)}`);
+
+    return proxies.length > 0 ? proxies.join(', ') : 'direct';
+  }
+}
+
+module.exports = { ProxyConfig };
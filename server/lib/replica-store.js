@@ -0,0 +1,159 @@
+/**
+ * Replica Store
+ *
+ * The library of finished replicas, kept on disk so they survive a page
+ * refresh or a server restart.
+ *
+ * Design Decision: Each replica is two files named after its id, like the
+ * HTTP cache: the HTML, and a JSON record of its metadata (source and
+ * final URL, title, capture time, device profile, stats and manifest).
+ * The JSON is written last, so a replica without one was never finished
+ * and is ignored. Metadata, without the manifest, is kept in memory for
+ * listing and searching; the HTML is only read when asked for.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Ids are generated here; anything else is refused before touching disk
+const ID_PATTERN = /^[a-f0-9]{16}$/;
+
+class ReplicaStore {
+  /**
+   * options:
+   * - dir: directory holding the replica files
+   * - enabled: false stops replicas being saved (listing still works)
+   */
+  constructor({ dir, enabled = true }) {
+    this.dir = dir;
+    this.enabled = enabled;
+    this.index = new Map();
+    this.loading = null;
+  }
+
+  filePath(id, extension) {
+    return path.join(this.dir, `${id}.${extension}`);
+  }
+
+  /**
+   * Read the metadata of every replica on disk
+   * If that fails, the next call reads it again
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+
+        const files = (await fs.promises.readdir(this.dir)).filter(name => name.endsWith('.json'));
+        await Promise.all(files.map(async (name) => {
+          try {
+            const record = JSON.parse(await fs.promises.readFile(path.join(this.dir, name), 'utf8'));
+            if (ID_PATTERN.test(record.id)) {
+              this.index.set(record.id, summarize(record));
+            }
+          } catch (error) {
+            // Corrupt record - leave it out of the library
+          }
+        }));
+      })().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Save a replica: { url, finalUrl, title, profile, html, stats, manifest }
+   * Returns its metadata, or null if the library is disabled
+   */
+  async save({ html, manifest = [], ...details }) {
+    if (!this.enabled) return null;
+
+    await this.load();
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const record = {
+      id,
+      ...details,
+      capturedAt: new Date().toISOString(),
+      size: Buffer.byteLength(html),
+      manifest
+    };
+
+    await fs.promises.writeFile(this.filePath(id, 'html'), html);
+    await fs.promises.writeFile(this.filePath(id, 'json'), JSON.stringify(record));
+
+    const summary = summarize(record);
+    this.index.set(id, summary);
+    return summary;
+  }
+
+  /**
+   * Metadata of every replica whose URL or title contains query (all of
+   * them without one), most recent first
+   */
+  async list(query = '') {
+    await this.load();
+
+    const search = query.trim().toLowerCase();
+    return [...this.index.values()]
+      .filter(replica => !search || [replica.url, replica.finalUrl, replica.title]
+        .some(text => text && text.toLowerCase().includes(search)))
+      .sort((a, b) => b.capturedAt.localeCompare(a.capturedAt));
+  }
+
+  /**
+   * A replica's full metadata, manifest included, or null
+   */
+  async get(id) {
+    await this.load();
+    if (!this.index.has(id)) return null;
+
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath(id, 'json'), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * A replica's HTML, or null
+   */
+  async readHTML(id) {
+    await this.load();
+    if (!this.index.has(id)) return null;
+
+    try {
+      return await fs.promises.readFile(this.filePath(id, 'html'), 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Delete a replica
+   * Returns whether it existed
+   */
+  async remove(id) {
+    await this.load();
+    if (!this.index.has(id)) return false;
+
+    this.index.delete(id);
+    await Promise.all(['json', 'html'].map(extension =>
+      fs.promises.rm(this.filePath(id, extension), { force: true })
+    ));
+    return true;
+  }
+}
+
+/**
+ * Metadata kept in memory: everything but the manifest
+ */
+function summarize({ manifest, ...metadata }) {
+  return metadata;
+}
+
+module.exports = { ReplicaStore };
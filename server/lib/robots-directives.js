@@ -0,0 +1,64 @@
+/**
+ * Robots Directives
+ *
+ * Reads the per-page robots rules a site sends besides robots.txt: the
+ * X-Robots-Tag response header and <meta name="robots"> tags.
+ *
+ * Design Decision: Both use the same directive list ("noindex, noarchive")
+ * and may be addressed to one crawler ("googlebot: noarchive", or
+ * <meta name="googlebot">). Rules for other crawlers are ignored; rules
+ * for every crawler or for our product token apply.
+ */
+
+/**
+ * The product name of a crawler token: "WebsitePlunder/1.0" -> "websiteplunder"
+ */
+function botName(token) {
+  return token.split('/')[0].trim().toLowerCase();
+}
+
+/**
+ * Split a directive list into lower-case directives
+ * "noarchive, max-snippet:0" -> ['noarchive', 'max-snippet:0']
+ */
+function parseDirectives(content) {
+  return (content || '')
+    .split(',')
+    .map(directive => directive.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Directives of an X-Robots-Tag header that apply to our crawler
+ * A "name:" prefix addresses the directives after it to one crawler,
+ * until the next prefix - several headers arrive joined by ", "
+ */
+function parseXRobotsTag(header, token) {
+  const name = botName(token);
+  const directives = new Set();
+  let target = null;
+
+  (header || '').split(',').forEach(part => {
+    let directive = part.trim().toLowerCase();
+
+    // "googlebot: noarchive" - but not "max-snippet: 20" or
+    // "unavailable_after: 25 Jun 2010 15:00:00 PST"
+    const prefix = directive.match(/^([a-z0-9_-]+)\s*:\s*(.*)$/);
+    if (prefix && !/^(max-[a-z-]+|unavailable_after)$/.test(prefix[1])) {
+      target = prefix[1];
+      directive = prefix[2].trim();
+    }
+
+    if (directive && (target === null || target === name)) {
+      directives.add(directive);
+    }
+  });
+
+  return directives;
+}
+
+module.exports = {
+  botName,
+  parseDirectives,
+  parseXRobotsTag
+};
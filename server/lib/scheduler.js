@@ -0,0 +1,144 @@
+/**
+ * Host Scheduler
+ *
+ * Queues requests per host so no site sees more than a few requests at
+ * once, or more often than it asks for (robots.txt Crawl-delay).
+ *
+ * Design Decision: One scheduler is shared by the whole process, so
+ * replications running side by side against the same CDN share its limit
+ * instead of each bringing their own. Within a host, queued requests are
+ * grouped by owner (one per replication) and owners take turns, so a page
+ * with 500 images cannot starve a page with 5.
+ */
+
+class HostScheduler {
+  /**
+   * options:
+   * - concurrency: requests in flight per host
+   * - interval: minimum ms between request starts per host
+   */
+  constructor({ concurrency = 4, interval = 0 } = {}) {
+    this.concurrency = concurrency;
+    this.interval = interval;
+    this.hosts = new Map();
+  }
+
+  /**
+   * Run task() once the host has a free slot
+   * interval overrides the default spacing for this host (e.g. from
+   * Crawl-delay); the longest interval seen for a host wins
+   */
+  schedule(host, owner, task, interval = 0) {
+    const state = this.hostState(host);
+    state.interval = Math.max(state.interval, interval);
+
+    return new Promise((resolve, reject) => {
+      if (!state.owners.has(owner)) {
+        state.owners.set(owner, []);
+      }
+      state.owners.get(owner).push({ task, resolve, reject });
+      this.drain(host, state);
+    });
+  }
+
+  /**
+   * Drop every task an owner still has queued, rejecting them with reason
+   * Tasks already running are left to finish (or be aborted by their own
+   * signal)
+   */
+  cancel(owner, reason) {
+    this.hosts.forEach((state, host) => {
+      const queue = state.owners.get(owner);
+      if (!queue) return;
+
+      state.owners.delete(owner);
+      queue.forEach(job => job.reject(reason));
+      this.drain(host, state);
+    });
+  }
+
+  hostState(host) {
+    let state = this.hosts.get(host);
+
+    if (!state) {
+      state = {
+        active: 0,
+        lastStart: 0,
+        interval: this.interval,
+        owners: new Map(),
+        timer: null,
+        idle: false
+      };
+      this.hosts.set(host, state);
+    }
+
+    if (state.timer && state.idle) {
+      clearTimeout(state.timer);
+      state.timer = null;
+      state.idle = false;
+    }
+
+    return state;
+  }
+
+  /**
+   * Start as many queued tasks as the host's limits allow
+   */
+  drain(host, state) {
+    while (state.active < this.concurrency && state.owners.size > 0) {
+      const wait = state.lastStart + state.interval - Date.now();
+      if (wait > 0) {
+        if (!state.timer) {
+          state.timer = setTimeout(() => {
+            state.timer = null;
+            this.drain(host, state);
+          }, wait);
+        }
+        return;
+      }
+
+      // Take the next owner's oldest task, then move that owner to the
+      // back of the rotation (Map keeps insertion order)
+      const [owner, queue] = state.owners.entries().next().value;
+      const job = queue.shift();
+      state.owners.delete(owner);
+      if (queue.length > 0) {
+        state.owners.set(owner, queue);
+      }
+
+      state.active++;
+      state.lastStart = Date.now();
+
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          state.active--;
+          this.drain(host, state);
+        });
+    }
+
+    if (state.active === 0 && state.owners.size === 0 && !state.timer) {
+      this.forget(host, state);
+    }
+  }
+
+  /**
+   * Drop an idle host once its interval has passed, so the map does not
+   * grow with every host ever contacted
+   */
+  forget(host, state) {
+    const remaining = state.lastStart + state.interval - Date.now();
+
+    if (remaining <= 0) {
+      this.hosts.delete(host);
+      return;
+    }
+
+    state.idle = true;
+    state.timer = setTimeout(() => this.hosts.delete(host), remaining);
+    state.timer.unref();
+  }
+}
+
+module.exports = { HostScheduler };
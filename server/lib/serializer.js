@@ -0,0 +1,272 @@
+/**
+ * HTML Serializer
+ *
+ * Turns a parsed document back into HTML, either pretty-printed or
+ * minified, without changing how the page renders.
+ *
+ * Design Decision: Works on the DOM rather than on the HTML string, so it
+ * knows which elements are void, which hold raw text, and where
+ * whitespace is significant:
+ * - <pre>, <textarea> and anything styled white-space: pre* are copied
+ *   through untouched, with all their descendants
+ * - Runs of text, inline elements and comments are printed on one line
+ *   exactly as parsed, since any whitespace added inside them would
+ *   render
+ * - Only the gaps around block-level elements are re-indented (pretty)
+ *   or dropped (minified)
+ */
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'basefont', 'bgsound', 'br', 'col', 'embed', 'frame', 'hr',
+  'img', 'input', 'keygen', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Text inside these is never entity-escaped
+const RAW_TEXT_ELEMENTS = new Set([
+  'style', 'script', 'xmp', 'iframe', 'noembed', 'noframes', 'plaintext', 'noscript'
+]);
+
+// Elements whose whitespace is rendered as-is
+const WHITESPACE_ELEMENTS = new Set(['pre', 'textarea', 'listing', 'plaintext']);
+
+// Elements laid out as blocks by default (or never rendered), so the
+// whitespace around them does not show
+const BLOCK_ELEMENTS = new Set([
+  'html', 'head', 'body', 'title', 'meta', 'link', 'style', 'script', 'base', 'noscript', 'template',
+  'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'dd', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hgroup', 'hr', 'li', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'search', 'section',
+  'summary', 'table', 'caption', 'colgroup', 'col', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th',
+  'ul', 'legend', 'optgroup', 'option', 'source', 'track', 'center'
+]);
+
+const INDENT = '  ';
+
+function isElement(node) {
+  return node.type === 'tag' || node.type === 'script' || node.type === 'style';
+}
+
+function isWhitespaceText(node) {
+  return node.type === 'text' && !/[^ \t\n\r\f]/.test(node.data);
+}
+
+function escapeText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/\u00a0/g, '&nbsp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/\u00a0/g, '&nbsp;')
+    .replace(/"/g, '&quot;');
+}
+
+// Comments are inline: text on either side of one joins up without a gap
+function isBlock(node) {
+  if (node.type === 'directive') return true;
+  return isElement(node) && node.namespace !== SVG_NAMESPACE && BLOCK_ELEMENTS.has(node.name);
+}
+
+/**
+ * Whether this element's whitespace must be kept exactly, because of
+ * its tag or an inline white-space style
+ */
+function preservesWhitespace(node) {
+  if (WHITESPACE_ELEMENTS.has(node.name)) return true;
+
+  const style = (node.attribs && node.attribs.style) || '';
+  return /white-space\s*:\s*(pre|break-spaces)/i.test(style);
+}
+
+function openTag(node) {
+  const prefixes = node['x-attribsPrefix'] || {};
+  const attributes = Object.keys(node.attribs || {}).map(name => {
+    const qualified = prefixes[name] ? `${prefixes[name]}:${name}` : name;
+    return ` ${qualified}="${escapeAttribute(node.attribs[name])}"`;
+  });
+
+  return `<${node.name}${attributes.join('')}>`;
+}
+
+class Serializer {
+  constructor(mode) {
+    this.mode = mode;
+  }
+
+  /**
+   * Serialize a node and everything under it exactly, with no
+   * whitespace changes
+   */
+  exact(node) {
+    switch (node.type) {
+      case 'root':
+        return node.children.map(child => this.exact(child)).join('');
+      case 'directive':
+        return `<${node.data}>`;
+      case 'comment':
+        return `<!--${node.data}-->`;
+      case 'cdata':
+        return node.children.map(child => this.exact(child)).join('');
+      case 'text':
+        return this.text(node, node.data);
+      default:
+        return this.element(node, node.children.map(child => this.exact(child)).join(''));
+    }
+  }
+
+  text(node, data) {
+    const parent = node.parent;
+    const raw = parent && isElement(parent) && parent.namespace === HTML_NAMESPACE &&
+      RAW_TEXT_ELEMENTS.has(parent.name);
+    return raw ? data : escapeText(data);
+  }
+
+  element(node, content) {
+    if (VOID_ELEMENTS.has(node.name) && node.namespace === HTML_NAMESPACE) {
+      return openTag(node);
+    }
+
+    // An empty SVG element can self-close; HTML ones cannot
+    if (node.namespace === SVG_NAMESPACE && content === '') {
+      return openTag(node).replace(/>$/, '/>');
+    }
+
+    // The parser drops one newline right after <pre> and <textarea>, so a
+    // leading newline in the content needs another in front of it
+    const leadingNewline = ['pre', 'textarea', 'listing'].includes(node.name) && content.startsWith('\n')
+      ? '\n'
+      : '';
+
+    return `${openTag(node)}${leadingNewline}${content}</${node.name}>`;
+  }
+
+  /**
+   * Serialize inline content: kept on one line, whitespace collapsed when
+   * minifying but never added or removed
+   */
+  inline(node) {
+    if (node.type === 'text') {
+      const data = this.mode === 'minified' && !this.inRawText(node)
+        ? node.data.replace(/[ \t\n\r\f]+/g, ' ')
+        : node.data;
+      return this.text(node, data);
+    }
+
+    if (node.type === 'comment') {
+      return this.mode === 'minified' ? '' : this.exact(node);
+    }
+
+    if (!isElement(node)) {
+      return this.exact(node);
+    }
+
+    if (preservesWhitespace(node) || RAW_TEXT_ELEMENTS.has(node.name)) {
+      return this.exact(node);
+    }
+
+    return this.element(node, node.children.map(child => this.inline(child)).join(''));
+  }
+
+  inRawText(node) {
+    const parent = node.parent;
+    return !!(parent && isElement(parent) && RAW_TEXT_ELEMENTS.has(parent.name));
+  }
+
+  /**
+   * Serialize a block-level node (or the document root)
+   * Children are split into block elements and runs of inline content
+   * between them. Each goes on its own line: whitespace at the edge of an
+   * inline run, next to a block, never renders, so it can be replaced.
+   */
+  block(node, depth) {
+    const pretty = this.mode === 'pretty';
+    const indent = pretty ? INDENT.repeat(depth) : '';
+    const newline = pretty ? '\n' : '';
+
+    if (node.type !== 'root' && !isElement(node)) {
+      return indent + this.exact(node) + newline;
+    }
+
+    if (node.type !== 'root' && (preservesWhitespace(node) || RAW_TEXT_ELEMENTS.has(node.name))) {
+      return indent + this.exact(node) + newline;
+    }
+
+    const segments = [];
+    let run = [];
+    const flush = () => {
+      if (run.some(child => !isWhitespaceText(child))) {
+        segments.push({ inline: run });
+      }
+      run = [];
+    };
+
+    (node.children || []).forEach(child => {
+      if (isBlock(child)) {
+        flush();
+        segments.push({ block: child });
+      } else {
+        run.push(child);
+      }
+    });
+    flush();
+
+    // Purely inline content stays on one line, exactly as parsed
+    if (node.type !== 'root' && segments.length === 1 && segments[0].inline) {
+      return indent + this.inline(node) + newline;
+    }
+
+    const childDepth = node.type === 'root' ? depth : depth + 1;
+    const childIndent = pretty ? INDENT.repeat(childDepth) : '';
+
+    const inner = segments.map(segment => {
+      if (segment.block) {
+        return this.block(segment.block, childDepth);
+      }
+
+      const content = segment.inline
+        .map(child => this.inline(child))
+        .join('')
+        .replace(/^[ \t\n\r\f]+|[ \t\n\r\f]+$/g, '');
+      return content ? childIndent + content + newline : '';
+    }).join('');
+
+    if (node.type === 'root') {
+      return inner;
+    }
+
+    if (inner === '') {
+      return indent + this.element(node, '') + newline;
+    }
+
+    return `${indent}${openTag(node)}${newline}${inner}${indent}</${node.name}>${newline}`;
+  }
+}
+
+/**
+ * Serialize a cheerio document
+ * mode: 'pretty' (indented), 'minified' (insignificant whitespace and
+ * comments removed) or 'original' (as parsed)
+ */
+function serialize($, mode) {
+  const root = $.root()[0];
+  const serializer = new Serializer(mode);
+
+  if (mode === 'original') {
+    return serializer.exact(root);
+  }
+
+  return serializer.block(root, 0);
+}
+
+module.exports = {
+  serialize,
+  VOID_ELEMENTS,
+  BLOCK_ELEMENTS
+};
@@ -0,0 +1,307 @@
+/**
+ * Session Stores
+ *
+ * Where the Storage MCP keeps the assets of replications in progress.
+ * Every store has the same asynchronous interface:
+ *
+ * - create(id, { createdAt }): start an empty session
+ * - get(id): { id, createdAt, assets } (asset count), or null
+ * - list(): the same for every session
+ * - setAsset(id, url, value): store an asset; ignored, resolving to
+ *   false, if the session does not exist (e.g. it was cancelled)
+ * - getAssets(id): { url: value, ... }, empty for an unknown session
+ * - delete(id): remove a session and its assets
+ * - close(): release files and handles
+ *
+ * - MemorySessionStore: a Map per session - fastest, lost on restart
+ * - FileSessionStore: a directory per session, one file per asset
+ * - SqliteSessionStore: one SQLite database (needs better-sqlite3)
+ *
+ * Design Decision: Stores only keep what they are given. Ids and
+ * creation times come from the Storage MCP, and expiry is its job too, so
+ * every store behaves the same; test/session-store.test.js checks that
+ * they do.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Ids end up in file names; anything else is refused
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function checkId(id) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    throw new Error(`Invalid session id "${id}"`);
+  }
+}
+
+class MemorySessionStore {
+  constructor() {
+    // Structure: { sessionId: { createdAt, assets: { assetUrl: value } } }
+    this.sessions = new Map();
+  }
+
+  async create(id, { createdAt }) {
+    checkId(id);
+    this.sessions.set(id, { createdAt, assets: new Map() });
+  }
+
+  async get(id) {
+    const session = this.sessions.get(id);
+    return session ? { id, createdAt: session.createdAt, assets: session.assets.size } : null;
+  }
+
+  async list() {
+    return [...this.sessions.keys()].map(id => {
+      const session = this.sessions.get(id);
+      return { id, createdAt: session.createdAt, assets: session.assets.size };
+    });
+  }
+
+  async setAsset(id, url, value) {
+    const session = this.sessions.get(id);
+    if (!session) return false;
+
+    session.assets.set(url, value);
+    return true;
+  }
+
+  async getAssets(id) {
+    const session = this.sessions.get(id);
+    return session ? Object.fromEntries(session.assets) : {};
+  }
+
+  async delete(id) {
+    this.sessions.delete(id);
+  }
+
+  async close() {
+    this.sessions.clear();
+  }
+}
+
+/**
+ * Design Decision: A session is a directory holding session.json (its
+ * metadata) and one JSON file per asset, named by a hash of its URL. The
+ * metadata file is what makes it a session: assets written to a session
+ * without one are refused, and deleting it is a single recursive remove.
+ */
+class FileSessionStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  sessionDir(id) {
+    checkId(id);
+    return path.join(this.dir, id);
+  }
+
+  assetPath(id, url) {
+    const name = crypto.createHash('sha256').update(url).digest('hex');
+    return path.join(this.sessionDir(id), `${name}.json`);
+  }
+
+  async readMetadata(id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(this.sessionDir(id), 'session.json'), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async countAssets(id) {
+    const files = await fs.promises.readdir(this.sessionDir(id));
+    return files.filter(name => name !== 'session.json').length;
+  }
+
+  async create(id, { createdAt }) {
+    const dir = this.sessionDir(id);
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, 'session.json'), JSON.stringify({ createdAt }));
+  }
+
+  async get(id) {
+    const metadata = await this.readMetadata(id);
+    if (!metadata) return null;
+
+    try {
+      return { id, createdAt: metadata.createdAt, assets: await this.countAssets(id) };
+    } catch (error) {
+      // Deleted while we were reading it
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async list() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const sessions = await Promise.all(names
+      .filter(name => ID_PATTERN.test(name))
+      .map(name => this.get(name)));
+    return sessions.filter(Boolean);
+  }
+
+  async setAsset(id, url, value) {
+    if (!await this.readMetadata(id)) return false;
+
+    try {
+      await fs.promises.writeFile(this.assetPath(id, url), JSON.stringify({ url, value }));
+      return true;
+    } catch (error) {
+      // Deleted in the meantime
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async getAssets(id) {
+    const dir = this.sessionDir(id);
+    let names;
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+
+    const assets = {};
+    await Promise.all(names.filter(name => name !== 'session.json').map(async (name) => {
+      try {
+        const { url, value } = JSON.parse(await fs.promises.readFile(path.join(dir, name), 'utf8'));
+        assets[url] = value;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }));
+    return assets;
+  }
+
+  async delete(id) {
+    // Retried in case an asset lands in the directory while it is removed
+    await fs.promises.rm(this.sessionDir(id), { recursive: true, force: true, maxRetries: 3 });
+  }
+
+  async close() {}
+}
+
+/**
+ * Design Decision: better-sqlite3 is synchronous, which suits a local
+ * database - each call is a few microseconds of work on a file the
+ * process owns. It is an optional dependency (a native module), only
+ * loaded when this store is chosen.
+ */
+class SqliteSessionStore {
+  constructor(file) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('STORAGE_BACKEND=sqlite needs the better-sqlite3 package - run npm install better-sqlite3');
+    }
+
+    if (file !== ':memory:') {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+    }
+
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        created_at INTEGER NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS assets (
+        session_id TEXT NOT NULL REFERENCES sessions (id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (session_id, url)
+      );
+    `);
+
+    const sessionColumns = `sessions.id AS id, sessions.created_at AS createdAt,
+      (SELECT COUNT(*) FROM assets WHERE assets.session_id = sessions.id) AS assets`;
+
+    this.statements = {
+      create: this.db.prepare('INSERT OR REPLACE INTO sessions (id, created_at) VALUES (?, ?)'),
+      get: this.db.prepare(`SELECT ${sessionColumns} FROM sessions WHERE id = ?`),
+      list: this.db.prepare(`SELECT ${sessionColumns} FROM sessions`),
+      setAsset: this.db.prepare(`
+        INSERT INTO assets (session_id, url, value)
+        SELECT id, ?, ? FROM sessions WHERE id = ?
+        ON CONFLICT (session_id, url) DO UPDATE SET value = excluded.value
+      `),
+      getAssets: this.db.prepare('SELECT url, value FROM assets WHERE session_id = ?'),
+      delete: this.db.prepare('DELETE FROM sessions WHERE id = ?')
+    };
+  }
+
+  async create(id, { createdAt }) {
+    checkId(id);
+    // REPLACE deletes the old row, and with it (cascade) its assets
+    this.statements.create.run(id, createdAt);
+  }
+
+  async get(id) {
+    return this.statements.get.get(id) || null;
+  }
+
+  async list() {
+    return this.statements.list.all();
+  }
+
+  async setAsset(id, url, value) {
+    return this.statements.setAsset.run(url, value, id).changes > 0;
+  }
+
+  async getAssets(id) {
+    const assets = {};
+    this.statements.getAssets.all(id).forEach(row => {
+      assets[row.url] = row.value;
+    });
+    return assets;
+  }
+
+  async delete(id) {
+    this.statements.delete.run(id);
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Build the store chosen by the environment:
+ * STORAGE_BACKEND=memory (default), filesystem (STORAGE_DIR) or sqlite
+ * (STORAGE_SQLITE_PATH)
+ */
+function createSessionStore(env = process.env) {
+  switch (env.STORAGE_BACKEND || 'memory') {
+    case 'memory':
+      return new MemorySessionStore();
+    case 'filesystem':
+      return new FileSessionStore(env.STORAGE_DIR || path.join(__dirname, '../../.cache/sessions'));
+    case 'sqlite':
+      return new SqliteSessionStore(env.STORAGE_SQLITE_PATH || path.join(__dirname, '../../.cache/sessions.sqlite'));
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${env.STORAGE_BACKEND}" - expected memory, filesystem or sqlite`);
+  }
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  SqliteSessionStore,
+  createSessionStore
+};
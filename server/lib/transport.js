@@ -0,0 +1,377 @@
+/**
+ * Fetcher Transports
+ *
+ * What actually answers the Fetcher's requests. Every transport has one
+ * method, get(url, config), taking axios request config and resolving to
+ * an axios-shaped response ({ status, headers, data }), or rejecting like
+ * axios does: with error.response set when validateStatus refuses the
+ * status, and error.code set for network errors.
+ *
+ * - LiveTransport: the network, through axios and the configured proxy
+ * - ReplayTransport: responses from a HAR file or a fixture directory,
+ *   with no network at all - replications become deterministic
+ * - RecordingTransport: the network, saving every response into a HAR
+ *   file that ReplayTransport can serve later
+ *
+ * Design Decision: The transport only replaces the wire. Redirects,
+ * retries, scheduling and decoding stay in the Fetcher, so a replayed
+ * replication exercises the same code as a live one. Only live transports
+ * use the HTTP cache: a replay must not depend on what was cached, and a
+ * recording must contain every response.
+ */
+
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { ProxyConfig } = require('./proxy');
+
+// Content types for fixture files, by extension
+const FIXTURE_TYPES = {
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.txt': 'text/plain',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf'
+};
+
+// Headers describing the bytes on the wire rather than the body we hold
+const WIRE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding', 'connection'];
+
+/**
+ * Build an axios-shaped response, rejecting it the way axios would if
+ * validateStatus does not accept its status
+ */
+function settle(config, status, headers, body) {
+  const response = {
+    status,
+    statusText: '',
+    headers,
+    data: config.responseType === 'arraybuffer' ? body : body.toString('utf8'),
+    config
+  };
+
+  const validateStatus = config.validateStatus || ((code) => code >= 200 && code < 300);
+  if (!validateStatus(status)) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = response;
+    throw error;
+  }
+
+  return response;
+}
+
+/**
+ * Lower-case a header object, dropping headers that no longer apply
+ */
+function normalizeHeaders(headers) {
+  const normalized = {};
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    const key = name.toLowerCase();
+    if (!WIRE_HEADERS.includes(key) && value !== undefined) {
+      normalized[key] = Array.isArray(value) ? value.join(', ') : String(value);
+    }
+  });
+  return normalized;
+}
+
+class LiveTransport {
+  /**
+   * proxy: the ProxyConfig deciding which requests go through a proxy
+   */
+  constructor(proxy = new ProxyConfig()) {
+    this.usesNetwork = true;
+    this.cacheable = true;
+    this.proxy = proxy;
+  }
+
+  /**
+   * The proxy url is requested through, or null for a direct connection
+   */
+  proxyFor(url) {
+    return this.proxy.proxyFor(url);
+  }
+
+  /**
+   * Summary for the startup log, with proxy passwords hidden
+   */
+  describe() {
+    return `live, ${this.proxy.describe()}`;
+  }
+
+  get(url, config) {
+    // proxy: false stops axios applying proxy variables on its own - the
+    // ProxyConfig alone decides, including for NO_PROXY hosts
+    const agent = this.proxy.agentFor(url);
+    return axios.get(url, {
+      ...config,
+      proxy: false,
+      ...(agent && { httpAgent: agent, httpsAgent: agent })
+    });
+  }
+}
+
+class ReplayTransport {
+  /**
+   * source: a .har file, or a directory of fixtures laid out by URL:
+   *   <dir>/<host>/<path>, with index.html for paths ending in "/".
+   *   A "<file>.headers.json" next to a fixture may give its
+   *   { status, headers } (for redirects, errors or exact content types).
+   */
+  constructor(source) {
+    this.usesNetwork = false;
+    this.cacheable = false;
+    this.source = source;
+    this.entries = null;
+
+    if (fs.statSync(source).isFile()) {
+      this.entries = this.loadHAR(source);
+    }
+  }
+
+  proxyFor() {
+    return null;
+  }
+
+  describe() {
+    return `replay from ${this.source}`;
+  }
+
+  /**
+   * Index a HAR file's responses by URL (the last response for a URL wins)
+   */
+  loadHAR(file) {
+    const har = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const entries = new Map();
+
+    (har.log && har.log.entries || []).forEach(entry => {
+      const content = entry.response.content || {};
+      const headers = {};
+      (entry.response.headers || []).forEach(({ name, value }) => {
+        headers[name] = headers[name] === undefined ? value : `${headers[name]}, ${value}`;
+      });
+
+      entries.set(entry.request.url, {
+        status: entry.response.status,
+        headers: normalizeHeaders(headers),
+        body: Buffer.from(content.text || '', content.encoding === 'base64' ? 'base64' : 'utf8')
+      });
+    });
+
+    return entries;
+  }
+
+  async get(url, config) {
+    const recorded = this.entries ? this.entries.get(url) : await this.readFixture(url);
+
+    if (!recorded) {
+      throw new Error(`No recorded response for ${url}`);
+    }
+
+    return settle(config, recorded.status, { ...recorded.headers }, recorded.body);
+  }
+
+  /**
+   * Find the fixture file for a URL, preferring one that includes the
+   * query string (e.g. "style.css?v=2")
+   */
+  async readFixture(url) {
+    const { host, pathname, search } = new URL(url);
+    const relative = decodeURIComponent(pathname.endsWith('/') ? `${pathname}index.html` : pathname);
+    const root = path.resolve(this.source);
+    const base = path.join(root, host.replace(/:/g, '_'), relative);
+
+    // Fixtures must stay inside the fixture directory
+    if (!base.startsWith(root + path.sep)) {
+      return null;
+    }
+
+    const candidates = search ? [base + decodeURIComponent(search), base] : [base];
+
+    for (const file of candidates) {
+      let body;
+      try {
+        body = await fs.promises.readFile(file);
+      } catch (error) {
+        continue;
+      }
+
+      let meta = {};
+      try {
+        meta = JSON.parse(await fs.promises.readFile(`${file}.headers.json`, 'utf8'));
+      } catch (error) {
+        // No sidecar: a plain 200 typed by extension
+      }
+
+      const type = FIXTURE_TYPES[path.extname(base).toLowerCase()] || 'application/octet-stream';
+      return {
+        status: meta.status || 200,
+        headers: normalizeHeaders({ 'content-type': type, ...meta.headers }),
+        body
+      };
+    }
+
+    return null;
+  }
+}
+
+class RecordingTransport {
+  /**
+   * file: the HAR file to write; rewritten after every response, so it
+   * is complete whenever the replication ends
+   */
+  constructor(file, inner = new LiveTransport()) {
+    this.usesNetwork = inner.usesNetwork;
+    this.cacheable = false; // Cache hits would be missing from the recording
+    this.file = file;
+    this.inner = inner;
+    this.entries = [];
+    this.writing = null;
+    this.dirty = false;
+  }
+
+  proxyFor(url) {
+    return this.inner.proxyFor(url);
+  }
+
+  describe() {
+    return `record to ${this.file}, ${this.inner.describe()}`;
+  }
+
+  async get(url, config) {
+    const started = new Date();
+
+    try {
+      const response = await this.inner.get(url, config);
+      this.record(url, config, started, response);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        this.record(url, config, started, error.response);
+      }
+      throw error;
+    }
+  }
+
+  record(url, config, started, response) {
+    const body = Buffer.isBuffer(response.data)
+      ? response.data
+      : Buffer.from(typeof response.data === 'string' ? response.data : JSON.stringify(response.data));
+    const headers = normalizeHeaders(response.headers && (response.headers.toJSON ? response.headers.toJSON() : response.headers));
+    const time = Date.now() - started.getTime();
+
+    this.entries.push({
+      startedDateTime: started.toISOString(),
+      time,
+      request: {
+        method: 'GET',
+        url,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: Object.entries(config.headers || {}).map(([name, value]) => ({ name, value: String(value) })),
+        queryString: [...new URL(url).searchParams].map(([name, value]) => ({ name, value })),
+        headersSize: -1,
+        bodySize: 0
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText || '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: Object.entries(headers).map(([name, value]) => ({ name, value })),
+        content: {
+          size: body.length,
+          mimeType: headers['content-type'] || 'application/octet-stream',
+          text: body.toString('base64'),
+          encoding: 'base64'
+        },
+        redirectURL: headers.location || '',
+        headersSize: -1,
+        bodySize: body.length
+      },
+      cache: {},
+      timings: { send: 0, wait: time, receive: 0 }
+    });
+
+    this.save();
+  }
+
+  /**
+   * Write the HAR file, coalescing writes requested while one is running
+   */
+  save() {
+    if (this.writing) {
+      this.dirty = true;
+      return this.writing;
+    }
+
+    this.writing = (async () => {
+      do {
+        this.dirty = false;
+        const har = {
+          log: {
+            version: '1.2',
+            creator: { name: 'website-plunder', version: '1.0.0' },
+            entries: this.entries
+          }
+        };
+
+        try {
+          await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+          await fs.promises.writeFile(this.file, JSON.stringify(har));
+        } catch (error) {
+          console.error(`Failed to write recording ${this.file}:`, error.message);
+        }
+      } while (this.dirty);
+
+      this.writing = null;
+    })();
+
+    return this.writing;
+  }
+}
+
+/**
+ * Build the transport chosen by the environment:
+ * FETCH_MODE=live (default), replay (FETCH_REPLAY_PATH) or record
+ * (FETCH_RECORD_PATH). Live and record connect through the proxy
+ * configured by the environment (see server/lib/proxy.js).
+ */
+function createTransport(env = process.env) {
+  switch (env.FETCH_MODE || 'live') {
+    case 'live':
+      return new LiveTransport(ProxyConfig.fromEnv(env));
+    case 'replay':
+      if (!env.FETCH_REPLAY_PATH) {
+        throw new Error('FETCH_MODE=replay needs FETCH_REPLAY_PATH (a .har file or fixture directory)');
+      }
+      return new ReplayTransport(env.FETCH_REPLAY_PATH);
+    case 'record':
+      return new RecordingTransport(
+        env.FETCH_RECORD_PATH || path.join(__dirname, '../../recordings', `${Date.now()}.har`),
+        new LiveTransport(ProxyConfig.fromEnv(env))
+      );
+    default:
+      throw new Error(`Unknown FETCH_MODE "${env.FETCH_MODE}" - expected live, replay or record`);
+  }
+}
+
+module.exports = {
+  LiveTransport,
+  ReplayTransport,
+  RecordingTransport,
+  createTransport
+};
@@ -0,0 +1,256 @@
+/**
+ * URL Policy
+ *
+ * Decides which URLs the fetcher may request. Blocks server-side request
+ * forgery: a replicated page (or a redirect it serves) must not be able to
+ * make the server fetch loopback services, the private network or cloud
+ * metadata endpoints.
+ *
+ * Design Decision: Hostnames are resolved and every address is checked,
+ * and the same check runs again as the connection's DNS lookup, so a host
+ * cannot resolve to a public address for the check and a private one for
+ * the request (DNS rebinding).
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+// Address ranges never fetched unless explicitly allowed
+const BLOCKED_RANGES = [
+  ['0.0.0.0/8', 'a "this network" address'],
+  ['10.0.0.0/8', 'a private address'],
+  ['100.64.0.0/10', 'a carrier-grade NAT address'],
+  ['127.0.0.0/8', 'a loopback address'],
+  ['169.254.169.254/32', 'a cloud metadata address'],
+  ['169.254.0.0/16', 'a link-local address'],
+  ['172.16.0.0/12', 'a private address'],
+  ['192.0.0.0/24', 'a reserved address'],
+  ['192.0.2.0/24', 'a documentation address'],
+  ['192.168.0.0/16', 'a private address'],
+  ['198.18.0.0/15', 'a benchmarking address'],
+  ['198.51.100.0/24', 'a documentation address'],
+  ['203.0.113.0/24', 'a documentation address'],
+  ['224.0.0.0/4', 'a multicast address'],
+  ['240.0.0.0/4', 'a reserved address'],
+  ['::/128', 'an unspecified address'],
+  ['::1/128', 'a loopback address'],
+  ['::ffff:0:0/96', 'an IPv4-mapped address'],
+  ['64:ff9b::/96', 'a NAT64 address'],
+  ['100::/64', 'a discard address'],
+  ['2001:db8::/32', 'a documentation address'],
+  ['fd00:ec2::254/128', 'a cloud metadata address'],
+  ['fc00::/7', 'a private address'],
+  ['fe80::/10', 'a link-local address'],
+  ['ff00::/8', 'a multicast address']
+];
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+const DEFAULT_PORTS = { 'http:': 80, 'https:': 443 };
+
+/**
+ * Parse an IPv4 or IPv6 address into { bits, value }, or null
+ */
+function parseAddress(address) {
+  const ip = address.replace(/^\[|\]$/g, '');
+
+  if (net.isIPv4(ip)) {
+    const value = ip.split('.').reduce((sum, octet) => (sum << 8n) + BigInt(octet), 0n);
+    return { bits: 32, value };
+  }
+
+  if (!net.isIPv6(ip)) return null;
+
+  // A trailing dotted IPv4 part counts as the last two groups
+  let groupsText = ip.replace(/%.*$/, '');
+  const dotted = groupsText.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const v4 = parseAddress(dotted[1]).value;
+    groupsText = groupsText.slice(0, -dotted[1].length) +
+      `${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+  }
+
+  const [head, tail] = groupsText.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+  const groups = [...headGroups, ...new Array(missing).fill('0'), ...tailGroups];
+
+  const value = groups.reduce((sum, group) => (sum << 16n) + BigInt(parseInt(group, 16)), 0n);
+  return { bits: 128, value };
+}
+
+/**
+ * Parse "address/prefix" (or a bare address) into a matchable range
+ */
+function parseCidr(cidr) {
+  const [address, prefixText] = cidr.split('/');
+  const parsed = parseAddress(address);
+  if (!parsed) return null;
+
+  const prefix = prefixText === undefined ? parsed.bits : parseInt(prefixText, 10);
+  if (isNaN(prefix) || prefix < 0 || prefix > parsed.bits) return null;
+
+  const shift = BigInt(parsed.bits - prefix);
+  return { bits: parsed.bits, prefix: parsed.value >> shift, shift };
+}
+
+function inRange(address, range) {
+  return address.bits === range.bits && (address.value >> range.shift) === range.prefix;
+}
+
+/**
+ * Split a comma-separated setting into trimmed, non-empty entries
+ */
+function splitList(value) {
+  return (value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+}
+
+class UrlPolicy {
+  /**
+   * options:
+   * - allow: hostnames, "*.suffix" patterns or CIDR ranges that may be
+   *   fetched even though they resolve to a blocked address
+   * - deny: hostnames, patterns or CIDR ranges that are never fetched
+   * - ports: ports allowed besides the protocol's default
+   * - lookup: DNS lookup function, (hostname, { all: true }) => addresses
+   */
+  constructor(options = {}) {
+    this.blockedRanges = BLOCKED_RANGES.map(([cidr, reason]) => ({ ...parseCidr(cidr), reason }));
+    this.allow = this.parseEntries(options.allow || []);
+    this.deny = this.parseEntries(options.deny || []);
+    this.ports = new Set((options.ports || []).map(Number));
+    this.dnsLookup = options.lookup || dns.promises.lookup;
+
+    // Passed to axios so connections only go to addresses that pass the
+    // policy; a function property so it keeps its `this`
+    this.lookup = async (hostname) => {
+      const addresses = await this.resolve(hostname);
+      return addresses[0];
+    };
+  }
+
+  /**
+   * Build a policy from environment variables:
+   * FETCH_ALLOW_HOSTS, FETCH_DENY_HOSTS and FETCH_ALLOW_PORTS
+   */
+  static fromEnv(env = process.env) {
+    return new UrlPolicy({
+      allow: splitList(env.FETCH_ALLOW_HOSTS),
+      deny: splitList(env.FETCH_DENY_HOSTS),
+      ports: splitList(env.FETCH_ALLOW_PORTS ?? '8080,8443')
+    });
+  }
+
+  parseEntries(entries) {
+    return entries.map(entry => {
+      const range = parseCidr(entry);
+      if (range) return { range };
+      if (entry.startsWith('*.')) return { suffix: entry.slice(1) };
+      return { host: entry };
+    });
+  }
+
+  matchesHost(entries, hostname) {
+    return entries.some(entry =>
+      (entry.host && entry.host === hostname) ||
+      (entry.suffix && hostname.endsWith(entry.suffix))
+    );
+  }
+
+  matchesAddress(entries, address) {
+    return entries.some(entry => entry.range && inRange(address, entry.range));
+  }
+
+  /**
+   * Check an address against the deny list and the blocked ranges
+   * Returns why it is blocked ("a loopback address", ...), or null
+   */
+  addressBlockReason(ip, hostAllowed) {
+    const address = parseAddress(ip);
+    if (!address) return 'not a valid address';
+
+    if (this.matchesAddress(this.deny, address)) {
+      return 'on the deny list';
+    }
+
+    if (hostAllowed || this.matchesAddress(this.allow, address)) {
+      return null;
+    }
+
+    const blocked = this.blockedRanges.find(range => inRange(address, range));
+    return blocked ? blocked.reason : null;
+  }
+
+  /**
+   * Resolve a hostname to the addresses the policy lets us connect to
+   * Throws if any of them is blocked - a host that mixes public and
+   * private addresses is treated as private
+   * proxied: the request goes through a proxy, which resolves the name
+   * itself. A name that does not resolve here is still refused unless it
+   * is on the allow list: intranet names and metadata aliases are often
+   * exactly the names only the proxy can resolve, and through a proxy
+   * this check is the only one (the connection cannot be pinned)
+   */
+  async resolve(hostname, proxied = false) {
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    const hostAllowed = this.matchesHost(this.allow, host);
+
+    if (net.isIP(host)) {
+      const reason = this.addressBlockReason(host, hostAllowed);
+      if (reason) throw new Error(`Blocked by URL policy: ${host} is ${reason}`);
+      return [{ address: host, family: net.isIP(host) }];
+    }
+
+    let addresses;
+    try {
+      addresses = await this.dnsLookup(host, { all: true });
+    } catch (error) {
+      if (proxied && hostAllowed) return [];
+      throw new Error(`Could not resolve ${host}: ${error.code || error.message}`);
+    }
+
+    addresses.forEach(({ address }) => {
+      const reason = this.addressBlockReason(address, hostAllowed);
+      if (reason) throw new Error(`Blocked by URL policy: ${host} resolves to ${address}, ${reason}`);
+    });
+
+    return addresses;
+  }
+
+  /**
+   * Check a URL before requesting it
+   * Throws an error explaining why the URL is not allowed
+   * options.proxied: the URL is requested through a proxy
+   */
+  async check(url, { proxied = false } = {}) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error(`Blocked by URL policy: invalid URL ${url}`);
+    }
+
+    if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+      throw new Error(`Blocked by URL policy: ${parsed.protocol} URLs are not allowed`);
+    }
+
+    if (parsed.username || parsed.password) {
+      throw new Error('Blocked by URL policy: URLs with credentials are not allowed');
+    }
+
+    const port = parsed.port ? Number(parsed.port) : DEFAULT_PORTS[parsed.protocol];
+    if (port !== DEFAULT_PORTS[parsed.protocol] && !this.ports.has(port)) {
+      throw new Error(`Blocked by URL policy: port ${port} is not allowed`);
+    }
+
+    const host = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (this.matchesHost(this.deny, host)) {
+      throw new Error(`Blocked by URL policy: ${host} is on the deny list`);
+    }
+
+    await this.resolve(host, proxied);
+  }
+}
+
+module.exports = { UrlPolicy, parseAddress, parseCidr };
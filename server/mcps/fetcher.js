@@ -7,16 +7,45 @@
  * - Fetching HTML pages
  * - Fetching CSS stylesheets
  * - Fetching images
+ * - Fetching SVG sprites
+ * - Refusing URLs that point into the private network (SSRF)
+ * - Presenting itself as the chosen device profile
  * - Applying timeouts and size limits
  * - Handling network errors gracefully
  *
  * Design Decision: Uses axios for robust HTTP handling with built-in
  * timeout and response type configuration. Limits response sizes to
- * prevent memory issues with large assets.
+ * prevent memory issues with large assets. axios sits behind a pluggable
+ * transport (server/lib/transport.js), so recorded responses can be
+ * replayed without a network.
  */
 
-const axios = require('axios');
+const path = require('path');
 const RobotsParser = require('robots-parser');
+const { UrlPolicy } = require('../lib/url-policy');
+const { HostScheduler } = require('../lib/scheduler');
+const { HttpCache } = require('../lib/http-cache');
+const charset = require('../lib/charset');
+const profiles = require('../lib/profiles');
+const robotsDirectives = require('../lib/robots-directives');
+const { Budget } = require('../lib/budget');
+const { createTransport } = require('../lib/transport');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Responses and network errors worth another attempt: the server is busy
+// or the connection dropped, rather than the asset being missing
+const RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const RETRY_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN'];
+
+function isSuccess(status) {
+  return status >= 200 && status < 300;
+}
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) ? fallback : value;
+}
 
 class Fetcher {
   constructor() {
@@ -24,70 +53,605 @@ class Fetcher {
     this.MAX_HTML_SIZE = 10 * 1024 * 1024; // 10MB for HTML
     this.MAX_ASSET_SIZE = 5 * 1024 * 1024;  // 5MB for CSS/images
     this.TIMEOUT = 15000; // 15 seconds
+    this.MAX_REDIRECTS = 5;
+
+    // Totals per replication: everything downloaded, in MB
+    // (FETCH_MAX_TOTAL_SIZE), and the number of assets (FETCH_MAX_ASSETS).
+    // Assets beyond them are skipped, see server/lib/budget.js
+    this.MAX_TOTAL_SIZE = envInt('FETCH_MAX_TOTAL_SIZE', 50) * 1024 * 1024;
+    this.MAX_ASSETS = envInt('FETCH_MAX_ASSETS', 500);
+
+    // Retries per request, and in total per replication. Pages and assets
+    // have separate budgets: the page is worth waiting for, while a site
+    // throttling hundreds of images should not stall the replication.
+    this.MAX_RETRIES = {
+      page: envInt('FETCH_PAGE_RETRIES', 3),
+      asset: envInt('FETCH_ASSET_RETRIES', 2)
+    };
+    this.RETRY_BUDGET = {
+      page: this.MAX_RETRIES.page,
+      asset: envInt('FETCH_ASSET_RETRY_BUDGET', 20)
+    };
+    this.RETRY_BASE_DELAY = envInt('FETCH_RETRY_DELAY', 500); // ms, doubled each attempt
+    this.RETRY_MAX_DELAY = 30000; // Longest wait, including Retry-After
+
+    // What answers requests: the network, a recording being replayed, or
+    // the network while recording (FETCH_MODE, see server/lib/transport.js)
+    this.transport = createTransport();
+
+    // Which hosts, addresses and ports may be fetched
+    // (FETCH_ALLOW_HOSTS, FETCH_DENY_HOSTS, FETCH_ALLOW_PORTS)
+    this.policy = UrlPolicy.fromEnv();
+
+    // Politeness: every request waits for a slot on its host, shared by
+    // all replications in this process. Crawl-delay from robots.txt
+    // spaces requests further, up to MAX_CRAWL_DELAY.
+    this.scheduler = new HostScheduler({
+      concurrency: envInt('FETCH_HOST_CONCURRENCY', 4),
+      interval: envInt('FETCH_HOST_INTERVAL', 0)
+    });
+    this.MAX_CRAWL_DELAY = 30000;
+
+    // Parsed robots.txt per origin; failed downloads are retried sooner
+    this.robotsCache = new Map();
+    this.ROBOTS_CACHE_TTL = envInt('ROBOTS_CACHE_TTL', 3600) * 1000;
+    this.ROBOTS_ERROR_TTL = 60 * 1000;
+    this.MAX_ROBOTS_CACHE = 1000;
+
+    // Responses are cached on disk and revalidated when stale
+    // (HTTP_CACHE=off, HTTP_CACHE_DIR, HTTP_CACHE_MAX_SIZE in MB)
+    this.cache = new HttpCache({
+      dir: process.env.HTTP_CACHE_DIR || path.join(__dirname, '../../.cache/http'),
+      maxSize: envInt('HTTP_CACHE_MAX_SIZE', 200) * 1024 * 1024,
+      enabled: process.env.HTTP_CACHE !== 'off'
+    });
+
+    // Device profile used when a replication does not choose one
+    // (FETCH_PROFILE; see server/lib/profiles.js)
+    this.DEFAULT_PROFILE = profiles.resolveProfile(process.env.FETCH_PROFILE || profiles.DEFAULT_PROFILE);
+
+    // Who we are to robots.txt, robots meta tags and X-Robots-Tag: rules
+    // for this token (or for every crawler) apply, and robots.txt is
+    // requested with it (CRAWLER_TOKEN). Pages and assets are requested
+    // with the session's profile instead.
+    this.CRAWLER_TOKEN = process.env.CRAWLER_TOKEN || 'WebsitePlunder/1.0';
 
-    // User agent: Use standard browser UA to avoid CDN blocking
-    this.USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+    // What robots rules do (ROBOTS_POLICY): strict refuses the capture,
+    // warn captures it with a warning, off ignores them. Crawl-delay is
+    // honoured either way.
+    this.ROBOTS_POLICIES = ['strict', 'warn', 'off'];
+    this.ROBOTS_POLICY = process.env.ROBOTS_POLICY || 'strict';
+    if (!this.ROBOTS_POLICIES.includes(this.ROBOTS_POLICY)) {
+      throw new Error(`Unknown ROBOTS_POLICY "${this.ROBOTS_POLICY}" - expected ${this.ROBOTS_POLICIES.join(', ')}`);
+    }
   }
 
   /**
-   * Check robots.txt before fetching
-   * Design Decision: Respect robots.txt as a best practice
+   * Swap the transport, e.g. to replay fixtures in a test
+   */
+  useTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Start tracking the requests of one replication
+   * Returns a fetch session, passed to every fetch method, holding the
+   * device profile, the remaining retry and size budgets, the attempt,
+   * failure and skip counts for stats, and warnings about robots rules
+   *
+   * signal: an AbortSignal cancelling the replication. Design Decision:
+   * It reaches every request, so aborting stops downloads in flight,
+   * drops the session's requests still queued for a host, and makes the
+   * fetch methods throw its reason instead of quietly returning null.
    */
-  async checkRobots(url) {
+  createSession(profile = this.DEFAULT_PROFILE, signal = null) {
+    const session = {
+      profile,
+      signal,
+      retryBudget: { ...this.RETRY_BUDGET },
+      budget: new Budget({ maxBytes: this.MAX_TOTAL_SIZE, maxAssets: this.MAX_ASSETS }),
+      // Encoding of the page, assumed by its stylesheets without @charset
+      pageEncoding: 'utf-8',
+      warnings: [],
+      // Every asset requested, with its outcome (see captureAsset)
+      manifest: [],
+      stats: {
+        attempts: 0,
+        retries: 0,
+        cacheHits: 0,
+        revalidated: 0,
+        failures: [],
+        skipped: []
+      }
+    };
+
+    if (signal) {
+      signal.addEventListener('abort', () => this.scheduler.cancel(session, signal.reason), { once: true });
+    }
+
+    return session;
+  }
+
+  /**
+   * Throw the reason the session was cancelled, if it was
+   */
+  throwIfCancelled(session) {
+    if (session.signal && session.signal.aborted) {
+      throw session.signal.reason;
+    }
+  }
+
+  /**
+   * Record an asset that could not be fetched, with the reason
+   */
+  recordFailure(session, url, reason, attempts = 1) {
+    session.stats.failures.push({ url, reason, attempts });
+  }
+
+  /**
+   * Record an asset left out because the replication's budget ran out
+   */
+  recordSkip(session, url, reason) {
+    session.stats.skipped.push({ url, reason });
+  }
+
+  /**
+   * GET an asset within the session's budget
+   * Returns the response, or null if the budget left the asset out
+   * (recorded in stats.skipped). Request errors are thrown as usual.
+   *
+   * Design Decision: The budget ticket is taken before the first await,
+   * so assets are admitted in the order the fetch methods were called -
+   * callers call them most important first.
+   */
+  async requestAsset(url, config, session) {
+    const exhausted = session.budget.exhausted();
+    if (exhausted) {
+      this.recordSkip(session, url, exhausted);
+      return null;
+    }
+
+    const ticket = session.budget.reserve();
+    let response;
     try {
-      const urlObj = new URL(url);
-      const robotsUrl = `${urlObj.protocol}//${urlObj.host}/robots.txt`;
+      // Under the strict policy, assets follow robots.txt like the page
+      if (this.ROBOTS_POLICY === 'strict' && !(await this.checkRobots(url, session))) {
+        throw new Error('Blocked by robots.txt');
+      }
+
+      response = await this.request(url, config, session, 'asset');
+    } catch (error) {
+      session.budget.release(ticket);
+      throw error;
+    }
+
+    if (!(await session.budget.admit(ticket, response.data.length))) {
+      this.recordSkip(session, url, session.budget.exhausted() || 'Would exceed the size budget');
+      return null;
+    }
+
+    return response;
+  }
+
+  /**
+   * Apply the robots policy to a rule the site set against capturing a
+   * page: throw under strict, record a warning under warn
+   * rule describes where the rule came from, e.g. "robots.txt"
+   */
+  enforceRobots(session, rule) {
+    if (this.ROBOTS_POLICY === 'strict') {
+      throw new Error(`Blocked by ${rule}`);
+    }
+
+    if (this.ROBOTS_POLICY === 'warn') {
+      session.warnings.push(`Captured despite ${rule}`);
+    }
+  }
+
+  /**
+   * GET a URL from the HTTP cache, or the network if it is not cached or
+   * has changed
+   * kind: 'page' or 'asset', choosing the retry budget
+   * The session's profile headers are added to config.headers, and
+   * responses are cached per profile, as the site may serve each device
+   * different content
+   */
+  async request(url, baseConfig, session, kind) {
+    const config = {
+      ...baseConfig,
+      headers: { ...profiles.profileHeaders(session.profile), ...baseConfig.headers },
+      signal: session.signal || undefined
+    };
+    const variant = session.profile.name;
+    const cacheable = this.transport.cacheable;
+    const cached = cacheable ? await this.cache.get(url, variant) : null;
+
+    if (cached && this.cache.isFresh(cached)) {
+      // The policy may have changed since the entry was stored (a host
+      // denied, or dropped from the allowlist), so it is checked again for
+      // the URL and where it redirected to. Stale entries are checked by
+      // send() when they are revalidated.
+      for (const target of new Set([url, cached.finalUrl])) {
+        await this.policy.check(target, { proxied: this.transport.proxyFor(target) !== null });
+      }
+
+      session.stats.cacheHits++;
+      return this.cachedResponse(cached);
+    }
+
+    // A stale entry is revalidated: 304 means the cached body still holds
+    const requestConfig = cached
+      ? {
+        ...config,
+        headers: { ...config.headers, ...this.cache.validators(cached) },
+        validateStatus: (status) => status === 304 || (config.validateStatus || isSuccess)(status)
+      }
+      : config;
+
+    const response = await this.requestWithRetries(url, requestConfig, session, kind);
+
+    if (cached && response.status === 304) {
+      await this.cache.refresh(cached, response.headers);
+      session.stats.cacheHits++;
+      session.stats.revalidated++;
+      return this.cachedResponse(cached);
+    }
+
+    if (cacheable && response.status === 200) {
+      await this.cache.put(url, variant, response.finalUrl, response.headers, Buffer.from(response.data));
+    }
+
+    return response;
+  }
+
+  /**
+   * Shape a cache entry like an axios response
+   */
+  cachedResponse(entry) {
+    return {
+      status: 200,
+      headers: entry.headers,
+      data: entry.body,
+      finalUrl: entry.finalUrl,
+      fromCache: true
+    };
+  }
+
+  /**
+   * GET a URL, retrying transient failures with exponential backoff
+   *
+   * Design Decision: A single 429, 503 or dropped connection should not
+   * lose an asset. Retries wait 2^n * RETRY_BASE_DELAY with jitter (so
+   * parallel fetches do not retry in lockstep), or as long as the server's
+   * Retry-After asks, and give up if that is longer than RETRY_MAX_DELAY.
+   */
+  async requestWithRetries(url, config, session, kind) {
+    for (let attempt = 1; ; attempt++) {
+      this.throwIfCancelled(session);
+      session.stats.attempts++;
+
+      try {
+        return await this.send(url, config, session);
+      } catch (error) {
+        error.attempts = attempt;
+
+        if (!this.isRetryable(error) || attempt > this.MAX_RETRIES[kind] || session.retryBudget[kind] <= 0) {
+          throw error;
+        }
+
+        const delay = this.retryDelay(error, attempt);
+        if (delay > this.RETRY_MAX_DELAY) {
+          throw error;
+        }
+
+        session.retryBudget[kind]--;
+        session.stats.retries++;
+        console.log(`Retrying ${url} in ${Math.round(delay)}ms (${this.describeError(error)}, attempt ${attempt})`);
+        await this.wait(delay, session);
+      }
+    }
+  }
+
+  /**
+   * Sleep for ms, waking early if the session is cancelled
+   */
+  wait(ms, session) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        if (session.signal) session.signal.removeEventListener('abort', done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      if (session.signal) session.signal.addEventListener('abort', done, { once: true });
+    });
+  }
+
+  isRetryable(error) {
+    if (error.response) {
+      return RETRY_STATUSES.includes(error.response.status);
+    }
+    return RETRY_ERROR_CODES.includes(error.code);
+  }
+
+  /**
+   * Milliseconds to wait before the next attempt
+   */
+  retryDelay(error, attempt) {
+    const retryAfter = this.parseRetryAfter(error.response?.headers['retry-after']);
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+
+    const backoff = Math.min(this.RETRY_MAX_DELAY, this.RETRY_BASE_DELAY * 2 ** (attempt - 1));
+    return backoff / 2 + Math.random() * (backoff / 2);
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+   */
+  parseRetryAfter(header) {
+    if (!header) return null;
+
+    if (/^\d+$/.test(header.trim())) {
+      return parseInt(header, 10) * 1000;
+    }
+
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Short reason for a failed request, for logs and stats
+   */
+  describeError(error) {
+    if (error.response) {
+      return `HTTP ${error.response.status}`;
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return 'Timed out';
+    }
+    if (/maxContentLength/.test(error.message) && error.config) {
+      return `Too large (over ${Math.round(error.config.maxContentLength / 1024 / 1024)} MB)`;
+    }
+    return error.message;
+  }
+
+  /**
+   * GET a URL through the URL policy
+   * Design Decision: Redirects are followed here rather than by axios, so
+   * every hop is checked - a public page must not be able to redirect the
+   * server to http://127.0.0.1/ or the cloud metadata endpoint
+   *
+   * owner: the fetch session to queue the request under; without one the
+   * request bypasses the host scheduler (used for robots.txt itself)
+   *
+   * Returns the axios response with finalUrl set to the last hop
+   */
+  async send(url, config, owner) {
+    const validateStatus = config.validateStatus || isSuccess;
+    let currentUrl = url;
+
+    for (let hop = 0; ; hop++) {
+      // Replayed responses never touch the network, so there is nothing
+      // to protect (and fixture hosts need not resolve). Through a proxy,
+      // the proxy connects to the site, so the connection cannot be
+      // pinned - the policy check is all there is, and it refuses names
+      // that do not resolve here unless they are allowlisted.
+      const proxied = this.transport.proxyFor(currentUrl) !== null;
+      if (this.transport.usesNetwork) {
+        await this.policy.check(currentUrl, { proxied });
+      }
+
+      const response = await this.schedule(currentUrl, owner, () => this.transport.get(currentUrl, {
+        ...config,
+        maxRedirects: 0,
+        lookup: proxied ? undefined : this.policy.lookup,
+        validateStatus: (status) => REDIRECT_STATUSES.includes(status) || validateStatus(status)
+      }));
+
+      const location = response.headers.location;
+      if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+        response.finalUrl = currentUrl;
+        return response;
+      }
+
+      if (hop >= this.MAX_REDIRECTS) {
+        throw new Error(`Too many redirects (more than ${this.MAX_REDIRECTS})`);
+      }
+
+      currentUrl = new URL(location, currentUrl).href;
+    }
+  }
+
+  /**
+   * Run a request once its host has a free slot
+   */
+  async schedule(url, owner, task) {
+    if (!owner) {
+      return task();
+    }
+
+    const { host, origin } = new URL(url);
+    const robots = await this.getRobots(origin, owner);
+    const crawlDelay = robots && robots.getCrawlDelay(this.CRAWLER_TOKEN);
+    const interval = crawlDelay ? Math.min(crawlDelay * 1000, this.MAX_CRAWL_DELAY) : 0;
+
+    return this.scheduler.schedule(host, owner, task, interval);
+  }
+
+  /**
+   * Get the parsed robots.txt for an origin, or null if it has none
+   * Design Decision: Cached per origin with a TTL, so a page's robots.txt
+   * is downloaded once for the robots check and the Crawl-delay of every
+   * asset request, and not again when the site is replicated later. The
+   * cache holds the pending promise, so concurrent requests share one
+   * download.
+   *
+   * session: the fetch session waiting for it. A cancelled session stops
+   * waiting at once (rejecting with the cancellation reason), and the
+   * shared download is aborted once no session is left waiting - one
+   * cancelled replication must not abort it for the others. Callers
+   * without a cancellable session keep the download going.
+   */
+  getRobots(origin, session = null) {
+    let entry = this.robotsCache.get(origin);
+    if (!entry || entry.expires <= Date.now()) {
+      if (this.robotsCache.size >= this.MAX_ROBOTS_CACHE) {
+        this.pruneRobotsCache();
+      }
+
+      entry = {
+        robots: null,
+        expires: Date.now() + this.ROBOTS_CACHE_TTL,
+        settled: false,
+        waiting: 0,
+        pinned: false,
+        controller: new AbortController()
+      };
+      entry.robots = this.loadRobots(origin, entry);
+      this.robotsCache.set(origin, entry);
+    }
 
-      const response = await axios.get(robotsUrl, {
+    if (entry.settled) return entry.robots;
+
+    if (!session || !session.signal) {
+      entry.pinned = true;
+      return entry.robots;
+    }
+
+    return this.waitForRobots(entry, session);
+  }
+
+  /**
+   * Wait for a pending robots.txt download on behalf of a session
+   */
+  waitForRobots(entry, session) {
+    this.throwIfCancelled(session);
+    entry.waiting++;
+
+    return new Promise((resolve, reject) => {
+      const leave = () => {
+        session.signal.removeEventListener('abort', cancel);
+        entry.waiting--;
+      };
+      const cancel = () => {
+        leave();
+        if (!entry.settled && entry.waiting === 0 && !entry.pinned) {
+          entry.controller.abort(session.signal.reason);
+        }
+        reject(session.signal.reason);
+      };
+
+      session.signal.addEventListener('abort', cancel, { once: true });
+      entry.robots.then(robots => {
+        if (session.signal.aborted) return;
+        leave();
+        resolve(robots);
+      });
+    });
+  }
+
+  async loadRobots(origin, entry) {
+    const robotsUrl = `${origin}/robots.txt`;
+
+    try {
+      const response = await this.send(robotsUrl, {
         timeout: 5000,
+        headers: { 'User-Agent': this.CRAWLER_TOKEN },
+        responseType: 'text',
+        signal: entry.controller.signal,
         validateStatus: (status) => status < 500 // Accept 404
       });
 
-      if (response.status === 200) {
-        const robots = RobotsParser(robotsUrl, response.data);
-        return robots.isAllowed(url, this.USER_AGENT);
-      }
-
       // No robots.txt means we can proceed
-      return true;
+      return response.status === 200 ? RobotsParser(robotsUrl, response.data) : null;
     } catch (error) {
-      // If we can't fetch robots.txt, proceed cautiously
-      return true;
+      if (entry.controller.signal.aborted) {
+        // Nobody is waiting any more - the next caller downloads it afresh
+        if (this.robotsCache.get(origin) === entry) {
+          this.robotsCache.delete(origin);
+        }
+        return null;
+      }
+
+      // If we can't fetch robots.txt, proceed cautiously and ask again soon
+      entry.expires = Date.now() + this.ROBOTS_ERROR_TTL;
+      return null;
+    } finally {
+      entry.settled = true;
     }
   }
 
+  pruneRobotsCache() {
+    const now = Date.now();
+    this.robotsCache.forEach((entry, origin) => {
+      if (entry.expires <= now) {
+        this.robotsCache.delete(origin);
+      }
+    });
+
+    // Still full: drop the oldest entries (Map keeps insertion order)
+    const excess = this.robotsCache.size - this.MAX_ROBOTS_CACHE + 1;
+    [...this.robotsCache.keys()].slice(0, Math.max(0, excess)).forEach(origin => {
+      this.robotsCache.delete(origin);
+    });
+  }
+
+  /**
+   * Check robots.txt before fetching
+   * Design Decision: Respect robots.txt as a best practice. Rules are
+   * matched against our crawler token, so rules written for this tool
+   * apply - not those for the browser a profile imitates.
+   *
+   * session: the fetch session asking, so cancelling it stops the wait
+   * (see getRobots)
+   */
+  async checkRobots(url, session = null) {
+    const robots = await this.getRobots(new URL(url).origin, session);
+    return !robots || robots.isAllowed(url, this.CRAWLER_TOKEN) !== false;
+  }
+
   /**
    * Fetch HTML page
+   * robots.txt is the caller's to check first (checkRobots), so the check
+   * can be reported as a step of its own
+   * Returns: { html, finalUrl, contentType, encoding, robots } - robots
+   * is the set of X-Robots-Tag directives that apply to us
    */
-  async fetchHTML(url) {
+  async fetchHTML(url, session = this.createSession()) {
     try {
-      // Check robots.txt first
-      const allowed = await this.checkRobots(url);
-      if (!allowed) {
-        throw new Error('Blocked by robots.txt');
-      }
-
-      const response = await axios.get(url, {
+      const response = await this.request(url, {
         timeout: this.TIMEOUT,
         maxContentLength: this.MAX_HTML_SIZE,
         headers: {
-          'User-Agent': this.USER_AGENT,
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
           'Accept-Encoding': 'gzip, deflate',
           'Connection': 'keep-alive',
         },
-        responseType: 'text'
-      });
+        responseType: 'arraybuffer'
+      }, session, 'page');
+
+      session.budget.charge(response.data.length);
+
+      // Decode from bytes: the page may not be UTF-8
+      const contentType = response.headers['content-type'];
+      const { text, encoding } = charset.decodeHTML(Buffer.from(response.data), contentType);
+      session.pageEncoding = encoding;
 
       return {
-        html: response.data,
-        finalUrl: response.request.res.responseUrl || url,
-        contentType: response.headers['content-type']
+        html: text,
+        finalUrl: response.finalUrl,
+        contentType,
+        encoding,
+        robots: robotsDirectives.parseXRobotsTag(response.headers['x-robots-tag'], this.CRAWLER_TOKEN)
       };
     } catch (error) {
+      this.throwIfCancelled(session);
+      const attempts = error.attempts > 1 ? ` after ${error.attempts} attempts` : '';
+
       if (error.code === 'ECONNABORTED') {
-        throw new Error('Request timeout - site took too long to respond');
+        throw new Error(`Request timeout - site took too long to respond${attempts}`);
       }
       if (error.response?.status === 404) {
         throw new Error('Page not found (404)');
@@ -95,95 +659,159 @@ class Fetcher {
       if (error.response?.status === 403) {
         throw new Error('Access forbidden (403)');
       }
-      throw new Error(`Failed to fetch HTML: ${error.message}`);
+      if (error.response) {
+        throw new Error(`Failed to fetch HTML: ${this.describeError(error)}${attempts}`);
+      }
+      throw new Error(`Failed to fetch HTML: ${error.message}${attempts}`);
     }
   }
 
   /**
-   * Fetch CSS stylesheet
+   * Fetch an asset, recording its outcome in the session's manifest
+   * Design Decision: A missing asset never fails the replication, but
+   * the manifest says why it is missing - the status, content type, size
+   * and time of whatever came back, and a reason for anything not kept.
+   *
+   * accepts(contentType) rejects error pages served with a 200;
+   * convert(response, contentType) turns the response into the result.
+   * Returns the result, or null if the asset failed or was skipped.
    */
-  async fetchCSS(url, refererUrl) {
+  async captureAsset(kind, url, config, session, { accepts = () => true, convert }) {
+    const started = Date.now();
+
     try {
-      const response = await axios.get(url, {
-        timeout: this.TIMEOUT,
-        maxContentLength: this.MAX_ASSET_SIZE,
-        headers: {
-          'User-Agent': this.USER_AGENT,
-          'Referer': refererUrl,
-          'Accept': 'text/css,*/*;q=0.1'
-        },
-        responseType: 'text'
-      });
+      const response = await this.requestAsset(url, config, session);
 
-      // Validate content-type to ensure we got actual CSS, not an error page
+      if (!response) {
+        // Skipped: over the replication's budget
+        const skip = session.stats.skipped.findLast(entry => entry.url === url);
+        this.recordAsset(session, { kind, url, started, outcome: 'skipped', reason: skip.reason });
+        return null;
+      }
+
+      // Validate content-type to ensure we got the asset, not an error page
       const contentType = response.headers['content-type'] || '';
-      if (!contentType.includes('text/css') && !contentType.includes('text/plain')) {
-        console.error(`Invalid content-type for CSS from ${url}: ${contentType}`);
+      if (!accepts(contentType)) {
+        const reason = `Unexpected content-type ${contentType || '(none)'}`;
+        console.error(`Invalid content-type for ${kind} from ${url}: ${contentType}`);
+        this.recordFailure(session, url, reason);
+        this.recordAsset(session, { kind, url, started, outcome: 'failed', response, reason });
         return null;
       }
 
-      return response.data;
+      this.recordAsset(session, { kind, url, started, outcome: 'fetched', response });
+      return convert(response, contentType);
     } catch (error) {
-      console.error(`Failed to fetch CSS from ${url}:`, error.message);
-      return null; // Fail gracefully - missing CSS is non-fatal
+      this.throwIfCancelled(session);
+      const reason = this.describeError(error);
+      console.error(`Failed to fetch ${kind} from ${url}:`, error.message);
+      this.recordFailure(session, url, reason, error.attempts);
+      this.recordAsset(session, { kind, url, started, outcome: 'failed', response: error.response, reason });
+      return null;
     }
   }
 
+  /**
+   * Add an asset to the session's manifest
+   * outcome: 'fetched', 'failed' or 'skipped'; response: what the server
+   * sent, if anything did
+   */
+  recordAsset(session, { kind, url, started, outcome, response = null, reason = null }) {
+    const fetched = outcome !== 'skipped' && response;
+
+    session.manifest.push({
+      url,
+      finalUrl: fetched && response.finalUrl ? response.finalUrl : null,
+      kind,
+      status: fetched ? response.status : null,
+      contentType: fetched ? response.headers['content-type'] || null : null,
+      bytes: fetched && response.data ? response.data.length : null,
+      ms: Date.now() - started,
+      cached: !!(fetched && response.fromCache),
+      outcome,
+      reason
+    });
+  }
+
+  /**
+   * Fetch CSS stylesheet
+   * Returns: { css, finalUrl } or null. finalUrl follows redirects so
+   * relative references inside the sheet resolve against the right file.
+   */
+  async fetchCSS(url, refererUrl, session = this.createSession()) {
+    return this.captureAsset('stylesheet', url, {
+      timeout: this.TIMEOUT,
+      maxContentLength: this.MAX_ASSET_SIZE,
+      headers: {
+        'Referer': refererUrl,
+        'Accept': 'text/css,*/*;q=0.1'
+      },
+      responseType: 'arraybuffer'
+    }, session, {
+      accepts: (contentType) => contentType.includes('text/css') || contentType.includes('text/plain'),
+      convert: (response, contentType) => ({
+        css: charset.decodeCSS(Buffer.from(response.data), contentType, session.pageEncoding).text,
+        finalUrl: response.finalUrl
+      })
+    });
+  }
+
   /**
    * Fetch image and return as base64 data URL
    * Design Decision: Convert images to data URLs to avoid CORS issues
    * and simplify asset management
    */
-  async fetchImage(url, refererUrl) {
-    try {
-      const response = await axios.get(url, {
-        timeout: this.TIMEOUT,
-        maxContentLength: this.MAX_ASSET_SIZE,
-        headers: {
-          'User-Agent': this.USER_AGENT,
-          'Referer': refererUrl
-        },
-        responseType: 'arraybuffer'
-      });
-
-      // Validate content-type to ensure we got an actual image, not an error page
-      const contentType = response.headers['content-type'] || '';
-      if (!contentType.startsWith('image/') && !contentType.includes('svg')) {
-        console.error(`Invalid content-type for image from ${url}: ${contentType}`);
-        return null;
-      }
+  async fetchImage(url, refererUrl, session = this.createSession()) {
+    return this.captureAsset('image', url, {
+      timeout: this.TIMEOUT,
+      maxContentLength: this.MAX_ASSET_SIZE,
+      headers: {
+        'Referer': refererUrl
+      },
+      responseType: 'arraybuffer'
+    }, session, {
+      accepts: (contentType) => contentType.startsWith('image/') || contentType.includes('svg'),
+      convert: (response, contentType) => `data:${contentType};base64,${Buffer.from(response.data).toString('base64')}`
+    });
+  }
 
-      const base64 = Buffer.from(response.data).toString('base64');
-      return `data:${contentType};base64,${base64}`;
-    } catch (error) {
-      console.error(`Failed to fetch image from ${url}:`, error.message);
-      return null; // Fail gracefully - missing images are non-fatal
-    }
+  /**
+   * Fetch SVG document as markup
+   * Design Decision: SVG sprites are inlined into the page rather than
+   * embedded as data URLs, so they are fetched as text like stylesheets
+   */
+  async fetchSVG(url, refererUrl, session = this.createSession()) {
+    return this.captureAsset('sprite', url, {
+      timeout: this.TIMEOUT,
+      maxContentLength: this.MAX_ASSET_SIZE,
+      headers: {
+        'Referer': refererUrl,
+        'Accept': 'image/svg+xml,*/*;q=0.1'
+      },
+      responseType: 'arraybuffer'
+    }, session, {
+      accepts: (contentType) => contentType.includes('svg') || contentType.includes('xml'),
+      convert: (response, contentType) => charset.decodeXML(Buffer.from(response.data), contentType).text
+    });
   }
 
   /**
    * Fetch generic asset (for fonts, etc.)
    */
-  async fetchAsset(url, refererUrl) {
-    try {
-      const response = await axios.get(url, {
-        timeout: this.TIMEOUT,
-        maxContentLength: this.MAX_ASSET_SIZE,
-        headers: {
-          'User-Agent': this.USER_AGENT,
-          'Referer': refererUrl
-        },
-        responseType: 'arraybuffer'
-      });
-
-      const contentType = response.headers['content-type'] || 'application/octet-stream';
-      const base64 = Buffer.from(response.data).toString('base64');
-
-      return `data:${contentType};base64,${base64}`;
-    } catch (error) {
-      console.error(`Failed to fetch asset from ${url}:`, error.message);
-      return null;
-    }
+  async fetchAsset(url, refererUrl, session = this.createSession()) {
+    return this.captureAsset('asset', url, {
+      timeout: this.TIMEOUT,
+      maxContentLength: this.MAX_ASSET_SIZE,
+      headers: {
+        'Referer': refererUrl
+      },
+      responseType: 'arraybuffer'
+    }, session, {
+      convert: (response, contentType) => {
+        const type = contentType || 'application/octet-stream';
+        return `data:${type};base64,${Buffer.from(response.data).toString('base64')}`;
+      }
+    });
   }
 }
 
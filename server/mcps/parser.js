@@ -17,22 +17,103 @@
 
 const cheerio = require('cheerio');
 const { URL } = require('url');
+const css = require('../lib/css');
+const allowlist = require('../lib/allowlist');
+const profiles = require('../lib/profiles');
+const robotsDirectives = require('../lib/robots-directives');
+const { serialize } = require('../lib/serializer');
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
 
 class Parser {
   constructor() {
-    // Tags to completely remove - tracking, analytics, unsafe scripts
-    this.STRIP_TAGS = [
-      'script',  // Remove all JavaScript
-      'noscript', // Not needed without JS
-      'iframe',  // Often contains tracking or external embeds
-      'object',  // Flash and other plugins
-      'embed'    // Similar to object
+    // Tags removed with their content - scripts, frames, plugins
+    // (see server/lib/allowlist.js for everything that is kept)
+    this.STRIP_TAGS = new Set(allowlist.DROP_TAGS);
+    this.HTML_TAGS = new Set(allowlist.HTML_TAGS);
+    this.SVG_TAGS = new Set(allowlist.SVG_TAGS);
+    this.GLOBAL_ATTRIBUTES = new Set(allowlist.GLOBAL_ATTRIBUTES);
+    this.SVG_ATTRIBUTES = new Set(allowlist.SVG_ATTRIBUTES);
+
+    // Embeds replaced by placeholder cards, recognised from their URL
+    this.EMBED_TYPES = [
+      { label: 'YouTube video', icon: '▶', pattern: /^https?:\/\/([a-z0-9-]+\.)*(youtube\.com|youtube-nocookie\.com|youtu\.be)\//i },
+      { label: 'Vimeo video', icon: '▶', pattern: /^https?:\/\/([a-z0-9-]+\.)*vimeo\.com\//i },
+      { label: 'Google Maps', icon: '📍', pattern: /^https?:\/\/((www|maps)\.)?google\.[a-z.]+\/maps/i },
+      { label: 'Tweet', icon: '🐦', pattern: /^https?:\/\/([a-z0-9-]+\.)*(twitter\.com|x\.com)\//i }
+    ];
+
+    // How <a href> is rewritten in the replica:
+    // - absolute:  point at the original site
+    // - replicate: point back through GET /replicate to capture on demand
+    // - none:      remove the link target, keeping the text
+    this.LINK_MODES = ['absolute', 'replicate', 'none'];
+
+    // How the replica's HTML is serialized (see server/lib/serializer.js)
+    this.OUTPUT_MODES = ['pretty', 'minified', 'original'];
+
+    // Injected into every replica: nothing may run, submit or frame,
+    // while images, styles and fonts that failed to embed can still load
+    this.CONTENT_SECURITY_POLICY = [
+      "default-src 'none'",
+      "script-src 'none'",
+      "object-src 'none'",
+      "frame-src 'none'",
+      "worker-src 'none'",
+      "connect-src 'none'",
+      "base-uri 'none'",
+      "form-action 'none'",
+      'img-src data: http: https:',
+      'media-src data: http: https:',
+      "style-src 'unsafe-inline' data: http: https:",
+      'font-src data: http: https:'
+    ].join('; ');
+
+    // File extensions treated as fonts when found in CSS url() references
+    this.FONT_EXTENSIONS = /\.(woff2?|ttf|otf|eot)(\?|#|$)/i;
+
+    // Elements whose attribute holds a single image URL
+    // Note: SVG xlink:href is exposed as plain href by the parser
+    this.IMAGE_ATTRIBUTES = [
+      { selector: 'img[src]', attr: 'src' },
+      { selector: 'video[poster]', attr: 'poster' },
+      { selector: 'input[type="image"][src]', attr: 'src' },
+      { selector: 'link[rel~="icon"][href]', attr: 'href' },
+      { selector: 'link[rel="apple-touch-icon"][href]', attr: 'href' },
+      { selector: 'link[rel="apple-touch-icon-precomposed"][href]', attr: 'href' },
+      { selector: 'svg image[href]', attr: 'href' }
     ];
 
-    // Dangerous attributes to remove
-    this.STRIP_ATTRIBUTES = [
-      'onload', 'onerror', 'onclick', 'onmouseover', 'onmouseout',
-      'onchange', 'onsubmit', 'onfocus', 'onblur'
+    // Elements whose srcset lists responsive image candidates
+    this.SRCSET_SELECTOR = 'img[srcset], picture > source[srcset]';
+
+    // Order in which fonts, images and sprites are fetched, lowest first,
+    // so a replication that runs out of budget loses the least visible
+    // ones (stylesheets are fetched before all of them)
+    this.ASSET_PRIORITIES = {
+      high: 0,
+      aboveFold: 1,
+      font: 2,
+      sprite: 2,
+      image: 3,
+      stylesheetImage: 4,
+      deferred: 5
+    };
+
+    // How many images, in document order, count as above the fold
+    this.ABOVE_THE_FOLD_IMAGES = 8;
+
+    // Lazy-load attributes holding the real URL, most specific first
+    this.LAZY_ATTRIBUTES = {
+      src: ['data-src', 'data-lazy-src', 'data-original', 'data-lazy'],
+      srcset: ['data-srcset', 'data-lazy-srcset'],
+      poster: ['data-poster']
+    };
+
+    // Classes lazy-load scripts use to hide images until they load
+    this.LAZY_CLASSES = [
+      'lazy', 'lazyload', 'lazyloading', 'lazyloaded', 'js-lazy',
+      'b-lazy', 'lozad', 'loading'
     ];
   }
 
@@ -79,109 +160,761 @@ class Parser {
 
   /**
    * Extract all asset URLs from parsed HTML
-   * Returns: { images: [], stylesheets: [], fonts: [] }
+   * Returns: { images: [], stylesheets: [], inlineStyles: [], sprites: [], fonts: [] }
    */
   extractAssets($, baseUrl) {
     const assets = {
       images: [],
       stylesheets: [],
+      inlineStyles: [],
+      sprites: [],
       fonts: []
     };
 
-    // Extract image sources
-    $('img[src]').each((i, elem) => {
-      const src = $(elem).attr('src');
-      if (src && !src.startsWith('data:')) {
-        const absoluteUrl = this.resolveUrl(src, baseUrl);
-        assets.images.push({
-          original: src,
-          absolute: absoluteUrl,
-          element: elem
+    // Extract image sources, posters, icons and SVG images
+    this.IMAGE_ATTRIBUTES.forEach(({ selector, attr }) => {
+      $(selector).each((i, elem) => {
+        const src = ($(elem).attr(attr) || '').trim();
+        if (src && !src.startsWith('data:')) {
+          assets.images.push({
+            original: src,
+            absolute: this.resolveUrl(src, baseUrl),
+            element: elem
+          });
+        }
+      });
+    });
+
+    // Extract every srcset candidate - descriptors are kept on rewrite
+    $(this.SRCSET_SELECTOR).each((i, elem) => {
+      this.parseSrcset($(elem).attr('srcset')).forEach(candidate => {
+        if (!candidate.url.startsWith('data:')) {
+          assets.images.push({
+            original: candidate.url,
+            absolute: this.resolveUrl(candidate.url, baseUrl),
+            srcset: true,
+            element: elem
+          });
+        }
+      });
+    });
+
+    // Extract external SVG sprites referenced by <use href="sprite.svg#id">
+    $('svg use[href]').each((i, elem) => {
+      const href = $(elem).attr('href').trim();
+      if (!href || href.startsWith('#') || href.startsWith('data:')) return;
+
+      const file = href.split('#')[0];
+      const absoluteUrl = this.resolveUrl(file, baseUrl);
+      if (!assets.sprites.some(sprite => sprite.absolute === absoluteUrl)) {
+        assets.sprites.push({
+          original: file,
+          absolute: absoluteUrl
         });
       }
     });
 
-    // Extract background images from inline styles
-    $('[style*="background"]').each((i, elem) => {
+    // Extract background images (and any other url()) from inline styles
+    $('[style]').each((i, elem) => {
       const style = $(elem).attr('style');
-      const urlMatches = style.match(/url\(['"]?([^'")\s]+)['"]?\)/g);
-      if (urlMatches) {
-        urlMatches.forEach(match => {
-          const url = match.match(/url\(['"]?([^'")\s]+)['"]?\)/)[1];
-          if (!url.startsWith('data:')) {
-            assets.images.push({
-              original: url,
-              absolute: this.resolveUrl(url, baseUrl),
-              inlineStyle: true,
-              element: elem
-            });
-          }
-        });
-      }
+      css.findUrls(style).forEach(ref => {
+        if (ref.url && !ref.url.startsWith('data:')) {
+          assets.images.push({
+            original: ref.url,
+            absolute: this.resolveUrl(ref.url, baseUrl),
+            inlineStyle: true,
+            element: elem
+          });
+        }
+      });
     });
 
     // Extract external stylesheets
+    // baseUrl on each record is what url() references inside the sheet
+    // resolve against; the route updates it if the fetch was redirected
     $('link[rel="stylesheet"]').each((i, elem) => {
       const href = $(elem).attr('href');
       if (href && !href.startsWith('data:')) {
+        const absoluteUrl = this.resolveUrl(href, baseUrl);
         assets.stylesheets.push({
           original: href,
-          absolute: this.resolveUrl(href, baseUrl),
+          absolute: absoluteUrl,
+          baseUrl: absoluteUrl,
           element: elem
         });
       }
     });
 
-    // Extract inline styles with @import
+    // Extract inline <style> blocks - their @import chains and url()
+    // references are resolved against the page itself
     $('style').each((i, elem) => {
-      const content = $(elem).html();
-      const importMatches = content.match(/@import\s+(?:url\()?['"]?([^'")\s]+)['"]?\)?/g);
-      if (importMatches) {
-        importMatches.forEach(match => {
-          const url = match.match(/['"]?([^'")\s]+)['"]?/)[1];
-          if (!url.startsWith('data:')) {
-            assets.stylesheets.push({
-              original: url,
-              absolute: this.resolveUrl(url, baseUrl),
-              importRule: true
-            });
-          }
-        });
+      assets.inlineStyles.push({
+        css: $(elem).html() || '',
+        baseUrl,
+        element: elem
+      });
+    });
+
+    return assets;
+  }
+
+  /**
+   * Extract url() references from fetched CSS
+   * baseUrl must be the URL of the stylesheet itself, not the page
+   * Returns: { images: [], fonts: [] }
+   * Design Decision: Anything referenced from an @font-face block (or with
+   * a font file extension) is treated as a font so it can be fetched as a
+   * generic asset; everything else goes through the image pipeline.
+   */
+  extractCSSAssets(stylesheet, baseUrl) {
+    const assets = {
+      images: [],
+      fonts: []
+    };
+    const seen = new Set();
+
+    css.findUrls(stylesheet).forEach(ref => {
+      const url = ref.url;
+      if (ref.import || !url || url.startsWith('data:') || url.startsWith('#') || seen.has(url)) {
+        return;
       }
+      seen.add(url);
+
+      const type = ref.fontFace || this.FONT_EXTENSIONS.test(url) ? 'fonts' : 'images';
+      assets[type].push({
+        original: url,
+        absolute: this.resolveUrl(url, baseUrl)
+      });
     });
 
     return assets;
   }
 
+  /**
+   * Find top-level @import statements in CSS
+   * Returns: [{ statement, start, end, url, conditionText, layer, supports, media }]
+   * layer is null when absent and '' for an anonymous layer
+   */
+  extractImports(stylesheet) {
+    return css.findImports(stylesheet).map(rule => ({
+      ...rule,
+      ...this.parseImportConditions(rule.conditionText)
+    }));
+  }
+
+  /**
+   * Replace @import statements (as returned by extractImports) with
+   * replacer(rule, index), leaving the rest of the CSS untouched
+   */
+  replaceImports(stylesheet, imports, replacer) {
+    return css.replaceRanges(stylesheet, imports, replacer);
+  }
+
+  /**
+   * Split the part of an @import after the URL into its
+   * layer(), supports() and media query list
+   */
+  parseImportConditions(text) {
+    const conditions = { layer: null, supports: null, media: null };
+    let rest = text.trim();
+
+    if (/^layer\b/i.test(rest)) {
+      rest = rest.slice('layer'.length);
+      if (rest.startsWith('(')) {
+        const inner = this.readParenthesized(rest);
+        conditions.layer = inner.trim();
+        rest = rest.slice(inner.length + 2);
+      } else {
+        conditions.layer = '';
+      }
+      rest = rest.trim();
+    }
+
+    if (/^supports\(/i.test(rest)) {
+      rest = rest.slice('supports'.length);
+      const inner = this.readParenthesized(rest);
+      conditions.supports = inner.trim();
+      rest = rest.slice(inner.length + 2).trim();
+    }
+
+    if (rest) {
+      conditions.media = rest;
+    }
+
+    return conditions;
+  }
+
+  /**
+   * Return the text between an opening parenthesis at the start of str
+   * and its matching close, allowing nested parentheses
+   */
+  readParenthesized(str) {
+    let depth = 0;
+    for (let i = 0; i < str.length; i++) {
+      if (str[i] === '(') depth++;
+      if (str[i] === ')') depth--;
+      if (depth === 0) {
+        return str.slice(1, i);
+      }
+    }
+    return str.slice(1);
+  }
+
+  /**
+   * Write the conditions of an @import nested inside other imports as the
+   * condition text of one top-level @import
+   * rules: the imports from the root sheet down to it, each as returned
+   * by extractImports
+   * Returns null when they cannot be written as one: an anonymous layer
+   * inside another layer, or a negated media query alongside another
+   */
+  combineImportConditions(rules) {
+    const layers = rules.map(rule => rule.layer).filter(layer => layer !== null);
+    if (layers.length > 1 && layers.includes('')) return null;
+
+    // Each supports() condition is wrapped in parens, so "display: grid"
+    // and "(a) or (b)" both combine with "and"
+    const supports = rules.map(rule => rule.supports).filter(Boolean);
+
+    let media = null;
+    for (const rule of rules.filter(rule => rule.media)) {
+      const queries = this.splitMediaQueries(rule.media);
+      if (!media) {
+        media = queries;
+        continue;
+      }
+
+      const combined = [];
+      for (const outer of media) {
+        for (const inner of queries) {
+          const query = this.combineMediaQueries(outer, inner);
+          if (query === null) return null;
+          if (query) combined.push(query);
+        }
+      }
+      // No pair can match at once: the import never applies
+      media = combined.length > 0 ? combined : ['not all'];
+    }
+
+    const parts = [];
+    if (layers.length > 0) {
+      parts.push(layers[0] === '' ? 'layer' : `layer(${layers.join('.')})`);
+    }
+    if (supports.length > 0) {
+      parts.push(`supports(${supports.length === 1 ? supports[0] : supports.map(s => `(${s})`).join(' and ')})`);
+    }
+    if (media) {
+      parts.push(media.join(', '));
+    }
+
+    return parts.join(' ');
+  }
+
+  /**
+   * Split a media query list on its top-level commas
+   */
+  splitMediaQueries(media) {
+    const queries = [];
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < media.length; i++) {
+      if (media[i] === '(') depth++;
+      if (media[i] === ')') depth--;
+      if (media[i] === ',' && depth === 0) {
+        queries.push(media.slice(start, i).trim());
+        start = i + 1;
+      }
+    }
+    queries.push(media.slice(start).trim());
+
+    return queries.filter(Boolean);
+  }
+
+  /**
+   * One media query matching where both a and b do
+   * Returns '' when they never match together, and null when that cannot
+   * be written as one query (a negated one, "not screen", is involved)
+   */
+  combineMediaQueries(a, b) {
+    const parse = (query) => {
+      const match = query.match(/^(?:(only|not)\s+)?([a-z-]+)(?:\s+and\s+([\s\S]+))?$/i);
+      if (!match) return { negated: false, type: null, condition: query };
+
+      const type = match[2].toLowerCase();
+      return {
+        negated: (match[1] || '').toLowerCase() === 'not',
+        type: type === 'all' ? null : type,
+        condition: match[3] || null
+      };
+    };
+
+    const first = parse(a);
+    const second = parse(b);
+    if (first.negated || second.negated) return null;
+    if (first.type && second.type && first.type !== second.type) return '';
+
+    // "or" and "not" bind looser than "and", so those conditions need parens
+    const conditions = [first.condition, second.condition]
+      .filter(Boolean)
+      .map(condition => (/\bor\b|^not\b/i.test(condition) ? `(${condition})` : condition));
+
+    return [first.type || second.type, ...conditions].filter(Boolean).join(' and ') || 'all';
+  }
+
+  /**
+   * Wrap CSS pulled in by an @import in the at-rules that reproduce its
+   * layer, supports and media conditions
+   * Design Decision: Inlined content replaces the @import in place, so
+   * the cascade order of the original stylesheet is kept
+   */
+  wrapImportedCSS(css, conditions) {
+    // @charset is only valid as the first thing in a file
+    let wrapped = css.replace(/^\s*@charset\s+[^;]+;/i, '');
+
+    if (conditions.layer !== null) {
+      const name = conditions.layer ? `${conditions.layer} ` : '';
+      wrapped = `@layer ${name}{\n${wrapped}\n}`;
+    }
+
+    if (conditions.supports) {
+      // supports(display: grid) is a bare declaration, @supports needs parens
+      const condition = /^[a-z-]+\s*:/i.test(conditions.supports)
+        ? `(${conditions.supports})`
+        : conditions.supports;
+      wrapped = `@supports ${condition} {\n${wrapped}\n}`;
+    }
+
+    if (conditions.media) {
+      wrapped = `@media ${conditions.media} {\n${wrapped}\n}`;
+    }
+
+    return wrapped;
+  }
+
+  /**
+   * Promote lazy-loaded images to their real URLs
+   * Design Decision: The replica never runs the site's lazy-load script,
+   * so this must happen before extractAssets - otherwise we would fetch
+   * and embed the placeholders instead of the images.
+   */
+  promoteLazyImages($) {
+    let promoted = 0;
+
+    // <noscript> fallbacks carry the real <img>; the element just before
+    // them is usually the script-driven placeholder
+    $('noscript').each((i, elem) => {
+      const fallback = $(elem).text();
+      const fragment = cheerio.load(fallback, null, false);
+      if (fragment('img').length === 0) return;
+
+      const placeholder = $(elem).prev();
+      if (placeholder.is('img') && this.isLazyPlaceholder($, placeholder)) {
+        placeholder.remove();
+      }
+
+      $(elem).replaceWith(fallback);
+      promoted += fragment('img').length;
+    });
+
+    // data-src / data-srcset style attributes
+    $('img, picture > source, video').each((i, elem) => {
+      const $elem = $(elem);
+      let changed = false;
+
+      Object.keys(this.LAZY_ATTRIBUTES).forEach(target => {
+        const source = this.LAZY_ATTRIBUTES[target].find(attr => $elem.attr(attr));
+        if (!source) return;
+
+        // data-lazy is sometimes a boolean flag rather than a URL
+        const value = $elem.attr(source).trim();
+        if (!value || value === 'true') return;
+
+        $elem.attr(target, value);
+        $elem.removeAttr(source);
+        changed = true;
+      });
+
+      if (changed) {
+        this.removeLazyClasses($elem);
+        promoted++;
+      }
+    });
+
+    // Anything still carrying a lazy class would stay hidden by the
+    // site's CSS (e.g. .lazyload { opacity: 0 })
+    $(this.LAZY_CLASSES.map(name => `img.${name}`).join(', ')).each((i, elem) => {
+      this.removeLazyClasses($(elem));
+    });
+
+    return promoted;
+  }
+
+  /**
+   * An <img> counts as a lazy-load placeholder if a script was meant to
+   * swap its source: it has a lazy attribute or class, no src, or a
+   * data: URL (typically a 1x1 GIF)
+   */
+  isLazyPlaceholder($, $img) {
+    const src = $img.attr('src') || '';
+    const hasLazyAttribute = Object.values(this.LAZY_ATTRIBUTES)
+      .some(attrs => attrs.some(attr => $img.attr(attr) !== undefined));
+    const hasLazyClass = this.LAZY_CLASSES.some(name => $img.hasClass(name));
+
+    return hasLazyAttribute || hasLazyClass || !src || src.startsWith('data:');
+  }
+
+  removeLazyClasses($elem) {
+    this.LAZY_CLASSES.forEach(name => $elem.removeClass(name));
+    if ($elem.attr('class') === '') {
+      $elem.removeAttr('class');
+    }
+  }
+
+  /**
+   * Keep only the responsive images the profile's device would show
+   * Design Decision: A browser downloads one srcset candidate, chosen for
+   * its viewport and pixel density, so the replica does the same - a
+   * phone capture embeds phone-sized images instead of every size on
+   * offer. <picture> sources whose media query does not match are
+   * removed. Like promoteLazyImages, this must run before extractAssets.
+   * Returns the number of srcset attributes narrowed
+   */
+  selectResponsiveImages($, profile) {
+    let selected = 0;
+
+    $('picture > source[media]').each((i, elem) => {
+      if (!profiles.matchesMedia($(elem).attr('media'), profile)) {
+        $(elem).remove();
+      }
+    });
+
+    $(this.SRCSET_SELECTOR).each((i, elem) => {
+      const $elem = $(elem);
+      const candidates = this.parseSrcset($elem.attr('srcset'));
+      const src = ($elem.attr('src') || '').trim();
+
+      // An <img src> counts as the 1x candidate unless srcset has one
+      // or uses width descriptors
+      if ($elem.is('img') && src && !candidates.some(c => /^(1x|\d+w)$/i.test(c.descriptor) || !c.descriptor)) {
+        candidates.push({ url: src, descriptor: '1x' });
+      }
+
+      const chosen = this.chooseCandidate(candidates, $elem.attr('sizes'), profile);
+      if (!chosen) return;
+
+      // The descriptor is only kept when it changes how big the image
+      // is drawn (width descriptors, or densities other than 1x)
+      const keepsDescriptor = chosen.descriptor && !/^1x$/i.test(chosen.descriptor);
+
+      if ($elem.is('img')) {
+        $elem.attr('src', chosen.url);
+        if (keepsDescriptor) {
+          $elem.attr('srcset', this.serializeSrcset([chosen]));
+        } else {
+          $elem.removeAttr('srcset');
+          $elem.removeAttr('sizes');
+        }
+      } else {
+        $elem.attr('srcset', this.serializeSrcset([keepsDescriptor ? chosen : { url: chosen.url }]));
+      }
+
+      selected++;
+    });
+
+    return selected;
+  }
+
+  /**
+   * Give each image a fetch priority from ASSET_PRIORITIES
+   * Design Decision: Without layout there is no fold, so the first
+   * ABOVE_THE_FOLD_IMAGES images in document order stand in for it, after
+   * any the page marks fetchpriority="high". Images the page itself defers
+   * (loading="lazy", fetchpriority="low") come last, and images found in
+   * stylesheets just before them.
+   * Returns the images with a priority, most important first
+   */
+  rankImages($, images) {
+    const position = new Map();
+    $('*').each((i, elem) => position.set(elem, i));
+
+    let eager = 0;
+    const ranked = images
+      .map((image, index) => ({ image, index, position: image.element ? position.get(image.element) ?? Infinity : Infinity }))
+      .sort((a, b) => a.position - b.position || a.index - b.index)
+      .map(({ image }) => {
+        if (!image.element) {
+          return { ...image, priority: this.ASSET_PRIORITIES.stylesheetImage };
+        }
+
+        const $elem = $(image.element);
+        const $img = $elem.is('source') ? $elem.parent().children('img').first() : $elem;
+        const fetchPriority = ($img.attr('fetchpriority') || '').toLowerCase();
+
+        let priority = this.ASSET_PRIORITIES.image;
+        if (fetchPriority === 'high') {
+          priority = this.ASSET_PRIORITIES.high;
+        } else if (fetchPriority === 'low' || ($img.attr('loading') || '').toLowerCase() === 'lazy') {
+          priority = this.ASSET_PRIORITIES.deferred;
+        } else if ($img.is('img') && eager < this.ABOVE_THE_FOLD_IMAGES) {
+          priority = this.ASSET_PRIORITIES.aboveFold;
+        }
+
+        if ($img.is('img') && priority !== this.ASSET_PRIORITIES.deferred) {
+          eager++;
+        }
+
+        return { ...image, priority };
+      });
+
+    // Stable, so document order is kept within a priority
+    return ranked.sort((a, b) => a.priority - b.priority);
+  }
+
+  /**
+   * Pick the srcset candidate a browser would: the smallest whose pixel
+   * density covers the device's, or the densest if none does
+   * Width descriptors are turned into densities using the width the
+   * image is drawn at, from sizes
+   */
+  chooseCandidate(candidates, sizes, profile) {
+    if (candidates.length === 0) return null;
+
+    const slot = profiles.slotWidth(sizes, profile);
+    const ranked = candidates
+      .map(candidate => {
+        const width = candidate.descriptor.match(/^(\d+)w$/i);
+        const density = candidate.descriptor.match(/^(\d*\.?\d+)x$/i);
+        return {
+          candidate,
+          density: width ? parseInt(width[1], 10) / slot : density ? parseFloat(density[1]) : 1
+        };
+      })
+      .sort((a, b) => a.density - b.density);
+
+    const target = profile.viewport.deviceScaleFactor;
+    const match = ranked.find(entry => entry.density >= target) || ranked[ranked.length - 1];
+    return match.candidate;
+  }
+
   /**
    * Strip unsafe elements and attributes
-   * Design Decision: Remove all JavaScript and event handlers to create
-   * a safe, static replica. Forms are disabled but kept for visual fidelity.
+   * Design Decision: Allowlist sanitizer - only known-safe elements and
+   * attributes survive, so event handlers and script-bearing features we
+   * have never heard of are removed too. Runs after all rewriting so it
+   * sees the final document, then locks it down with a
+   * Content-Security-Policy. Forms are disabled but kept for visual fidelity.
    */
   stripUnsafeContent($) {
-    // Remove dangerous tags entirely
-    this.STRIP_TAGS.forEach(tag => {
-      $(tag).remove();
+    $('*').each((i, elem) => {
+      const tag = elem.name.toLowerCase();
+      const isSvg = elem.namespace === SVG_NAMESPACE;
+
+      // Remove dangerous tags entirely
+      if (this.STRIP_TAGS.has(tag) || !this.isAllowedElement($, elem, tag, isSvg)) {
+        $(elem).remove();
+        return;
+      }
+
+      // Unknown tags are unwrapped so their text stays visible
+      const known = isSvg ? this.SVG_TAGS.has(tag) : this.HTML_TAGS.has(tag) || this.isCustomElement(tag);
+      if (!known) {
+        $(elem).replaceWith($(elem).contents());
+        return;
+      }
+
+      this.sanitizeAttributes($, elem, tag, isSvg);
     });
 
-    // Remove event handler attributes
-    $('*').each((i, elem) => {
-      this.STRIP_ATTRIBUTES.forEach(attr => {
-        $(elem).removeAttr(attr);
-      });
+    // Neutralize script-capable CSS in <style> blocks, and make sure their
+    // content cannot close the tag early
+    $('style').each((i, elem) => {
+      const stylesheet = css.neutralizeUnsafeCSS($(elem).text());
+      // SVG <style> text is entity-escaped on output, only HTML needs this
+      $(elem).text(elem.namespace === SVG_NAMESPACE
+        ? stylesheet
+        : stylesheet.replace(/<\/(style)/gi, '<\\/$1'));
     });
 
     // Disable all forms (keep for visual, but prevent submission)
     $('form').each((i, elem) => {
-      $(elem).attr('onsubmit', 'return false;');
       $(elem).removeAttr('action');
+      $(elem).removeAttr('method');
     });
 
     // Disable all input fields
-    $('input, textarea, button').each((i, elem) => {
+    $('input, textarea, button, select').each((i, elem) => {
       $(elem).attr('disabled', 'disabled');
     });
 
+    this.injectContentSecurityPolicy($);
+
+    return $;
+  }
+
+  /**
+   * Element-level checks that depend on attribute values
+   */
+  isAllowedElement($, elem, tag, isSvg) {
+    if (isSvg) return true;
+
+    if (tag === 'meta') {
+      const httpEquiv = ($(elem).attr('http-equiv') || '').trim().toLowerCase();
+      return !httpEquiv || allowlist.SAFE_HTTP_EQUIV.includes(httpEquiv);
+    }
+
+    if (tag === 'link') {
+      const rels = ($(elem).attr('rel') || '').toLowerCase().split(/\s+/).filter(Boolean);
+      return rels.length > 0 && rels.every(rel => allowlist.SAFE_LINK_RELS.includes(rel));
+    }
+
+    return true;
+  }
+
+  /**
+   * Custom elements (<my-widget>) never upgrade without scripts, so they
+   * are kept as plain containers for the site's CSS to style
+   */
+  isCustomElement(tag) {
+    return /^[a-z][a-z0-9._]*-[a-z0-9._-]*$/.test(tag);
+  }
+
+  /**
+   * Remove every attribute not allowlisted for this element, and any
+   * allowlisted one whose value is a script vector
+   */
+  sanitizeAttributes($, elem, tag, isSvg) {
+    Object.keys(elem.attribs).forEach(attr => {
+      const name = attr.toLowerCase();
+      const value = elem.attribs[attr];
+
+      if (!this.isAllowedAttribute(tag, name, isSvg)) {
+        $(elem).removeAttr(attr);
+        return;
+      }
+
+      if (name === 'style') {
+        $(elem).attr(attr, css.neutralizeUnsafeCSS(value));
+        return;
+      }
+
+      if (allowlist.URL_ATTRIBUTES.includes(name)) {
+        // Link targets and <use> must never be data: URLs (they can hold
+        // a page or a scripted SVG document)
+        const allowData = !['a', 'area', 'use'].includes(tag);
+        // A scheme broken by whitespace (jav\tascript:) parses as a URL
+        // and a descriptor, so each candidate is also checked joined up
+        const urls = name === 'srcset'
+          ? this.parseSrcset(value).flatMap(candidate => [candidate.url, candidate.url + candidate.descriptor])
+          : [value];
+
+        if (!urls.every(url => this.isSafeUrl(url, allowData))) {
+          $(elem).removeAttr(attr);
+        }
+      }
+    });
+  }
+
+  isAllowedAttribute(tag, name, isSvg) {
+    // Event handlers are never allowed, whatever the element
+    if (name.startsWith('on')) return false;
+    if (/^(data|aria)-[a-z0-9_.:-]*$/.test(name)) return true;
+
+    if (isSvg) {
+      return this.SVG_ATTRIBUTES.has(name);
+    }
+
+    const elementAttributes = allowlist.HTML_ATTRIBUTES[tag] || [];
+    return this.GLOBAL_ATTRIBUTES.has(name) || elementAttributes.includes(name);
+  }
+
+  /**
+   * A URL is safe if it is relative or uses an allowlisted scheme
+   * Browsers ignore whitespace and control characters inside the scheme
+   * ("java\tscript:"), so those are stripped before checking
+   */
+  isSafeUrl(url, allowData) {
+    const normalized = url.replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+
+    if (!scheme) return true;
+
+    const name = scheme[1].toLowerCase();
+    if (name === 'data') {
+      return allowData && allowlist.SAFE_DATA_URL.test(normalized);
+    }
+
+    return allowlist.SAFE_SCHEMES.includes(name);
+  }
+
+  /**
+   * Declare the replica as UTF-8
+   * Design Decision: The page was decoded from whatever encoding it used,
+   * and is written back out as a JavaScript string (UTF-8 on the wire), so
+   * its original <meta charset> would now be wrong
+   */
+  declareUTF8($) {
+    $('meta[charset]').remove();
+    $('meta[http-equiv]').filter((i, elem) =>
+      ($(elem).attr('http-equiv') || '').trim().toLowerCase() === 'content-type'
+    ).remove();
+
+    $('head').prepend('<meta charset="utf-8">');
+    return $;
+  }
+
+  /**
+   * The page's <title>, whitespace collapsed ('' without one)
+   */
+  getTitle($) {
+    return $('head title').first().text().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Directives of the page's <meta name="robots"> tags, and of tags named
+   * after our crawler (<meta name="websiteplunder">)
+   */
+  getRobotsDirectives($, crawlerToken) {
+    const name = robotsDirectives.botName(crawlerToken);
+    const directives = new Set();
+
+    $('meta[name][content]').each((i, elem) => {
+      const metaName = $(elem).attr('name').trim().toLowerCase();
+      if (metaName === 'robots' || metaName === name) {
+        robotsDirectives.parseDirectives($(elem).attr('content')).forEach(directive => directives.add(directive));
+      }
+    });
+
+    return directives;
+  }
+
+  /**
+   * Note in the replica which device profile captured it
+   */
+  recordProfile($, profile) {
+    $('meta[name="plunder-profile"]').remove();
+
+    const meta = $('<meta name="plunder-profile">');
+    meta.attr('content', `${profile.name}; ${profile.viewport.width}x${profile.viewport.height}@${profile.viewport.deviceScaleFactor}x`);
+    $('head').append(meta);
+    return $;
+  }
+
+  /**
+   * Add the replica's Content-Security-Policy at the top of <head> - a
+   * CSP <meta> only applies to content after it. Only the charset
+   * declaration goes before it, since browsers look for that first.
+   */
+  injectContentSecurityPolicy($) {
+    const head = $('head');
+    const charset = $('meta[charset]').first();
+
+    head.prepend(`<meta http-equiv="Content-Security-Policy" content="${this.CONTENT_SECURITY_POLICY}">`);
+
+    if (charset.length > 0) {
+      head.prepend(charset);
+    }
+
     return $;
   }
 
@@ -191,23 +924,37 @@ class Parser {
    * baseUrl parameter is needed to resolve relative URLs for lookup
    */
   rewriteAssets($, assetMap, baseUrl) {
-    // Rewrite image sources
-    $('img[src]').each((i, elem) => {
-      const src = $(elem).attr('src');
-      if (assetMap[src]) {
-        $(elem).attr('src', assetMap[src]);
-      }
+    const lookup = (url) => assetMap[url] || assetMap[this.resolveUrl(url, baseUrl)];
+
+    // Rewrite image sources, posters, icons and SVG images
+    this.IMAGE_ATTRIBUTES.forEach(({ selector, attr }) => {
+      $(selector).each((i, elem) => {
+        const src = ($(elem).attr(attr) || '').trim();
+        if (src && lookup(src)) {
+          $(elem).attr(attr, lookup(src));
+        }
+      });
+    });
+
+    // Rewrite srcset candidates, keeping width/density descriptors
+    $(this.SRCSET_SELECTOR).each((i, elem) => {
+      const candidates = this.parseSrcset($(elem).attr('srcset')).map(candidate => ({
+        url: lookup(candidate.url) || candidate.url,
+        descriptor: candidate.descriptor
+      }));
+      $(elem).attr('srcset', this.serializeSrcset(candidates));
     });
 
-    // Rewrite background images in inline styles
-    $('[style*="background"]').each((i, elem) => {
-      let style = $(elem).attr('style');
-      Object.keys(assetMap).forEach(originalUrl => {
-        const escapedUrl = originalUrl.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        const regex = new RegExp(escapedUrl, 'g');
-        style = style.replace(regex, assetMap[originalUrl]);
+    // Rewrite url() references in inline styles
+    $('[style]').each((i, elem) => {
+      const style = $(elem).attr('style');
+      const rewritten = css.rewriteUrls(style, ref => {
+        if (!ref.url || ref.url.startsWith('data:')) return null;
+        return assetMap[ref.url] || assetMap[this.resolveUrl(ref.url, baseUrl)] || null;
       });
-      $(elem).attr('style', style);
+      if (rewritten !== style) {
+        $(elem).attr('style', rewritten);
+      }
     });
 
     // Rewrite stylesheet links - convert to inline styles
@@ -223,44 +970,287 @@ class Parser {
 
       if (css) {
         // Replace link tag with style tag containing the CSS
-        const styleTag = `<style type="text/css">${css}</style>`;
+        // (set as text, so the CSS is never parsed as markup)
+        const styleTag = $('<style type="text/css"></style>');
+        styleTag.text(css);
         $(elem).replaceWith(styleTag);
+      } else if (href && baseUrl) {
+        // Not embedded (failed or over budget): keep loading the original
+        $(elem).attr('href', this.resolveUrl(href, baseUrl));
       }
     });
 
     return $;
   }
 
+  /**
+   * Parse a srcset attribute into candidates
+   * Returns: [{ url, descriptor }]
+   * Design Decision: Follows the HTML spec algorithm rather than splitting
+   * on commas, since URLs (data: URLs in particular) may contain commas
+   */
+  parseSrcset(srcset) {
+    const candidates = [];
+    const value = srcset || '';
+    let i = 0;
+
+    while (i < value.length) {
+      // Skip whitespace and separating commas
+      while (i < value.length && /[\s,]/.test(value[i])) i++;
+      if (i >= value.length) break;
+
+      // URL runs to the next whitespace; trailing commas end the candidate
+      let start = i;
+      while (i < value.length && !/\s/.test(value[i])) i++;
+      let url = value.slice(start, i);
+      let hasDescriptor = true;
+
+      if (url.endsWith(',')) {
+        url = url.replace(/,+$/, '');
+        hasDescriptor = false;
+      }
+
+      // Descriptor runs to the next comma outside parentheses
+      let descriptor = '';
+      if (hasDescriptor) {
+        start = i;
+        let depth = 0;
+        while (i < value.length) {
+          if (value[i] === '(') depth++;
+          if (value[i] === ')') depth = Math.max(0, depth - 1);
+          if (value[i] === ',' && depth === 0) break;
+          i++;
+        }
+        descriptor = value.slice(start, i).trim();
+      }
+
+      if (url) {
+        candidates.push({ url, descriptor });
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Build a srcset attribute from candidates
+   */
+  serializeSrcset(candidates) {
+    return candidates
+      .map(candidate => candidate.descriptor ? `${candidate.url} ${candidate.descriptor}` : candidate.url)
+      .join(', ');
+  }
+
+  /**
+   * Inline external SVG sprites into the document
+   * sprites: { absoluteUrl: svgMarkup } for each fetched sprite file
+   * Design Decision: <use href="sprite.svg#icon"> cannot load from another
+   * file once the replica is offline (and data URLs are not allowed in
+   * <use>), so each sprite's contents go into a hidden <svg> and every
+   * reference is rewritten to the local #fragment.
+   */
+  inlineSprites($, sprites, baseUrl) {
+    const inlined = new Set();
+
+    $('svg use[href]').each((i, elem) => {
+      const href = $(elem).attr('href').trim();
+      if (!href || href.startsWith('#') || href.startsWith('data:')) return;
+
+      const [file, fragment] = href.split('#');
+      const absoluteUrl = this.resolveUrl(file, baseUrl);
+      const markup = sprites[absoluteUrl];
+      if (!markup || !fragment) return;
+
+      if (!inlined.has(absoluteUrl)) {
+        const sprite = cheerio.load(markup, { xmlMode: true });
+        const contents = sprite('svg').first().html();
+        if (contents === null) return;
+
+        // Built as one string so the sprite is parsed as SVG, not HTML
+        $('body').prepend(
+          `<svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" style="position: absolute; width: 0; height: 0; overflow: hidden;">${contents}</svg>`
+        );
+        inlined.add(absoluteUrl);
+      }
+
+      $(elem).attr('href', `#${fragment}`);
+    });
+
+    return $;
+  }
+
+  /**
+   * Work out the URL relative references in the document resolve
+   * against: the first <base href>, if any, otherwise the page URL
+   */
+  getBaseUrl($, pageUrl) {
+    const href = ($('base[href]').first().attr('href') || '').trim();
+    if (!href) {
+      return pageUrl;
+    }
+
+    const resolved = this.resolveUrl(href, pageUrl);
+    return /^https?:\/\//i.test(resolved) ? resolved : pageUrl;
+  }
+
+  /**
+   * Rewrite link targets for the chosen link mode
+   * options: { links, profile, replicateEndpoint } - a named profile is
+   * carried into "replicate" links, so followed pages use the same device
+   * Design Decision: The replica is shown from about:srcdoc or a
+   * downloaded file, where relative links resolve to nothing, so every
+   * link is made absolute (or removed). Links to a fragment of this same
+   * page become plain #fragment links so in-page navigation keeps working.
+   * <base> has been used for resolution by now and is removed, so it
+   * cannot redirect the rewritten references.
+   */
+  rewriteLinks($, baseUrl, pageUrl, options) {
+    const pageWithoutHash = pageUrl.split('#')[0];
+
+    $('a[href], area[href]').each((i, elem) => {
+      const href = $(elem).attr('href').trim();
+      if (!href || href.startsWith('#')) return;
+
+      const absoluteUrl = this.resolveUrl(href, baseUrl);
+      const [target, fragment] = absoluteUrl.split('#');
+
+      // Links elsewhere in this page
+      if (fragment !== undefined && target === pageWithoutHash) {
+        $(elem).attr('href', `#${fragment}`);
+        return;
+      }
+
+      // mailto:, tel: and friends are left alone (the sanitizer decides)
+      if (!/^https?:\/\//i.test(absoluteUrl)) return;
+
+      if (options.links === 'none') {
+        $(elem).removeAttr('href');
+      } else if (options.links === 'replicate') {
+        let query = `url=${encodeURIComponent(absoluteUrl)}&links=replicate`;
+        if (typeof options.profile === 'string') {
+          query += `&profile=${encodeURIComponent(options.profile)}`;
+        }
+        $(elem).attr('href', `${options.replicateEndpoint}?${query}`);
+      } else {
+        $(elem).attr('href', absoluteUrl);
+      }
+    });
+
+    $('base').remove();
+
+    return $;
+  }
+
+  /**
+   * Replace the contents of inline <style> blocks with their processed CSS
+   * Each block: { element, css }
+   */
+  rewriteStyleBlocks($, styleBlocks) {
+    styleBlocks.forEach(block => {
+      $(block.element).text(block.css);
+    });
+
+    return $;
+  }
+
   /**
    * Process CSS content to rewrite URLs within it
+   * baseUrl is the URL of the stylesheet the CSS came from
    */
-  processCSS(css, baseUrl, assetMap) {
-    let processedCSS = css;
-
-    // Find all url() references in CSS
-    const urlMatches = css.match(/url\(['"]?([^'")\s]+)['"]?\)/g);
-    if (urlMatches) {
-      urlMatches.forEach(match => {
-        const url = match.match(/url\(['"]?([^'")\s]+)['"]?\)/)[1];
-        if (!url.startsWith('data:')) {
-          const absoluteUrl = this.resolveUrl(url, baseUrl);
-          // If we have a data URL for this asset, use it
-          if (assetMap[absoluteUrl]) {
-            processedCSS = processedCSS.replace(
-              new RegExp(url.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'),
-              assetMap[absoluteUrl]
-            );
-          } else if (assetMap[url]) {
-            processedCSS = processedCSS.replace(
-              new RegExp(url.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'),
-              assetMap[url]
-            );
-          }
+  processCSS(stylesheet, baseUrl, assetMap) {
+    return css.rewriteUrls(stylesheet, ref => {
+      // @import targets are inlined separately, never swapped for data URLs
+      if (ref.import || !ref.url || ref.url.startsWith('data:')) {
+        return null;
+      }
+
+      // Only look up by absolute URL - the same relative path means
+      // different files in stylesheets from different directories
+      return assetMap[this.resolveUrl(ref.url, baseUrl)] || null;
+    });
+  }
+
+  /**
+   * Replace <iframe>, <object> and <embed> with static placeholder cards
+   * Design Decision: Removing embeds outright collapses the space they
+   * took and shifts the layout, so each one becomes a box of the same
+   * size naming what was there, with a link to the original. The
+   * element's id and class are kept so the site's CSS still sizes it.
+   * Returns the number of embeds replaced.
+   */
+  replaceEmbeds($, baseUrl) {
+    let replaced = 0;
+
+    $('iframe, object, embed').each((i, elem) => {
+      // Nested <embed> fallbacks inside an <object> go with their parent
+      if ($(elem).parents('object').length > 0) return;
+
+      const source = ($(elem).attr('src') || $(elem).attr('data') || '').trim();
+      const absoluteUrl = source ? this.resolveUrl(source, baseUrl) : '';
+      const type = this.EMBED_TYPES.find(embed => embed.pattern.test(absoluteUrl)) || {
+        label: 'Embedded content',
+        icon: '🧩'
+      };
+
+      const placeholder = $('<div></div>');
+      ['id', 'class'].forEach(attr => {
+        if ($(elem).attr(attr)) {
+          placeholder.attr(attr, $(elem).attr(attr));
         }
       });
+
+      placeholder.attr('style', [
+        `width: ${this.embedDimension($(elem), 'width', '300px')}`,
+        `height: ${this.embedDimension($(elem), 'height', '150px')}`,
+        'max-width: 100%',
+        'box-sizing: border-box',
+        'display: flex',
+        'flex-direction: column',
+        'align-items: center',
+        'justify-content: center',
+        'gap: 6px',
+        'padding: 12px',
+        'background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%)',
+        'border: 2px dashed #f4a261',
+        'color: #f4a261',
+        "font-family: 'Courier New', monospace",
+        'font-size: 13px',
+        'text-align: center',
+        'overflow: hidden'
+      ].join('; '));
+
+      placeholder.append($('<div style="font-size: 24px;"></div>').text(type.icon));
+      placeholder.append($('<div></div>').text(type.label));
+
+      if (/^https?:\/\//i.test(absoluteUrl)) {
+        const link = $('<a target="_blank" rel="noopener noreferrer" style="color: #e9c46a; word-break: break-all;"></a>');
+        link.attr('href', absoluteUrl).text('Open original ↗');
+        placeholder.append(link);
+      }
+
+      $(elem).replaceWith(placeholder);
+      replaced++;
+    });
+
+    return replaced;
+  }
+
+  /**
+   * CSS size of an embed from its width/height attribute or inline style
+   * Plain numbers in attributes are pixels
+   */
+  embedDimension($elem, property, fallback) {
+    const attr = ($elem.attr(property) || '').trim();
+    if (/^\d+(\.\d+)?$/.test(attr)) return `${attr}px`;
+    if (/^\d+(\.\d+)?%$/.test(attr)) return attr;
+
+    const style = $elem.attr('style') || '';
+    const match = style.match(new RegExp(`(?:^|;)\\s*${property}\\s*:\\s*([^;!]+)`, 'i'));
+    if (match && /^[\d.]+(px|%|em|rem|vw|vh)$/i.test(match[1].trim())) {
+      return match[1].trim();
     }
 
-    return processedCSS;
+    return fallback;
   }
 
   /**
@@ -306,68 +1296,15 @@ class Parser {
   }
 
   /**
-   * Format HTML with proper indentation for human readability
-   * Uses a simple line-by-line formatting approach
-   * Preserves <style> and <script> tag contents without modification
+   * Serialize the document for output
+   * mode: 'pretty' (default), 'minified' or 'original'
+   *
+   * Design Decision: Delegates to the DOM-aware serializer - re-indenting
+   * the HTML string broke <pre> and textarea content and misread '>'
+   * inside attribute values
    */
-  formatHTML(html) {
-    let formatted = '';
-    let indent = 0;
-    const indentStr = '  '; // 2 spaces
-
-    // First, extract and preserve style/script contents
-    const preserved = [];
-    let processedHtml = html.replace(/(<style[^>]*>)([\s\S]*?)(<\/style>)/gi, (match, open, content, close) => {
-      const placeholder = `___STYLE_${preserved.length}___`;
-      preserved.push({ open, content, close });
-      return placeholder;
-    });
-
-    // Split by tags while preserving them
-    const parts = processedHtml.split(/(<[^>]+>)/g);
-
-    for (let i = 0; i < parts.length; i++) {
-      const part = parts[i].trim();
-      if (!part) continue;
-
-      // Check for preserved content placeholders
-      if (part.startsWith('___STYLE_')) {
-        const index = parseInt(part.match(/___STYLE_(\d+)___/)[1]);
-        const { open, content, close } = preserved[index];
-        formatted += indentStr.repeat(indent) + open + content + close + '\n';
-        continue;
-      }
-
-      // Check if this is a tag
-      if (part.startsWith('<')) {
-        // Closing tag - decrease indent first
-        if (part.startsWith('</')) {
-          indent = Math.max(0, indent - 1);
-          formatted += indentStr.repeat(indent) + part + '\n';
-        }
-        // Self-closing tag or single-line tag
-        else if (part.endsWith('/>') || part.match(/<(img|br|hr|input|meta|link)/i)) {
-          formatted += indentStr.repeat(indent) + part + '\n';
-        }
-        // Opening tag
-        else {
-          formatted += indentStr.repeat(indent) + part + '\n';
-          // Increase indent for next element (unless it's an inline tag)
-          if (!part.match(/<(span|a|strong|em|b|i|u|small|code)/i)) {
-            indent++;
-          }
-        }
-      }
-      // Text content
-      else {
-        // Only add non-empty text content
-        if (part.length > 0) {
-          formatted += indentStr.repeat(indent) + part + '\n';
-        }
-      }
-    }
-
-    return formatted;
+  formatHTML($, mode = 'pretty') {
+    return serialize($, mode);
   }
 }
 
@@ -8,41 +8,55 @@
  * - Converting assets to data URLs for inline serving
  * - Managing asset lifecycle (cleanup)
  * - Providing asset retrieval
+ * - Keeping the library of finished replicas on disk
  *
- * Design Decision: Uses in-memory storage with data URLs for simplicity.
- * This avoids filesystem I/O and CORS issues. Memory is cleared periodically
- * to prevent leaks. For a production tool, this could be replaced with a
- * proper cache or CDN, but for local use, in-memory is perfect.
+ * Design Decision: Assets are kept as data URLs in a session store chosen
+ * by STORAGE_BACKEND (see server/lib/session-store.js): in memory by
+ * default, which is perfect for local use, or in a directory or SQLite
+ * database to keep memory flat during large replications. Each session
+ * records when it was created, and sessions older than an hour are
+ * cleared periodically to prevent leaks.
+ * Finished replicas are the exception: they are what the user keeps, so
+ * they go to disk (see server/lib/replica-store.js).
  */
 
+const crypto = require('crypto');
+const path = require('path');
+const { ReplicaStore } = require('../lib/replica-store');
+const { createSessionStore } = require('../lib/session-store');
+
 class Storage {
   constructor() {
-    // In-memory asset store
-    // Structure: { sessionId: { assetUrl: dataUrl } }
-    this.store = new Map();
+    // Asset store (STORAGE_BACKEND=memory, filesystem or sqlite)
+    this.store = createSessionStore();
 
     // Auto-cleanup old sessions after 1 hour
     this.CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
     this.startCleanupTimer();
+
+    // Library of finished replicas (REPLICA_LIBRARY=off stops saving)
+    this.replicas = new ReplicaStore({
+      dir: process.env.REPLICA_DIR || path.join(__dirname, '../../replicas'),
+      enabled: process.env.REPLICA_LIBRARY !== 'off'
+    });
   }
 
   /**
-   * Generate a unique session ID for each replication request
+   * Start a session for a replication request
+   * Returns its id, random and unguessable
    */
-  generateSessionId() {
-    return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  async createSession() {
+    const sessionId = `session_${crypto.randomBytes(8).toString('hex')}`;
+    await this.store.create(sessionId, { createdAt: Date.now() });
+    return sessionId;
   }
 
   /**
    * Store an asset (already as data URL from fetcher)
+   * Ignored once the session has been cleared
    */
-  storeAsset(sessionId, originalUrl, dataUrl) {
-    if (!this.store.has(sessionId)) {
-      this.store.set(sessionId, new Map());
-    }
-
-    const sessionStore = this.store.get(sessionId);
-    sessionStore.set(originalUrl, dataUrl);
+  async storeAsset(sessionId, originalUrl, dataUrl) {
+    await this.store.setAsset(sessionId, originalUrl, dataUrl);
   }
 
   /**
@@ -50,67 +64,90 @@ class Storage {
    * Returns: { originalUrl: dataUrl, ... }
    */
   getAssetMap(sessionId) {
-    if (!this.store.has(sessionId)) {
-      return {};
-    }
-
-    const sessionStore = this.store.get(sessionId);
-    const assetMap = {};
-
-    sessionStore.forEach((dataUrl, originalUrl) => {
-      assetMap[originalUrl] = dataUrl;
-    });
-
-    return assetMap;
+    return this.store.getAssets(sessionId);
   }
 
   /**
    * Clean up a specific session
+   * Never rejects: a session that could not be removed is left to the
+   * cleanup timer
    */
   clearSession(sessionId) {
-    if (this.store.has(sessionId)) {
-      this.store.delete(sessionId);
-    }
+    return this.store.delete(sessionId).catch(error => {
+      console.error(`[${sessionId}] Could not clear session:`, error.message);
+    });
   }
 
   /**
    * Periodic cleanup of old sessions
-   * Design Decision: Prevent memory leaks by removing old sessions
+   * Design Decision: Prevent leaks by removing old sessions. A filesystem
+   * or SQLite store also holds sessions left by a previous run, which go
+   * the same way.
    */
   startCleanupTimer() {
-    setInterval(() => {
+    setInterval(async () => {
       const now = Date.now();
 
-      // Extract timestamp from session IDs and remove old ones
-      this.store.forEach((value, sessionId) => {
-        try {
-          const timestamp = parseInt(sessionId.split('_')[1]);
-          const age = now - timestamp;
-
-          if (age > this.CLEANUP_INTERVAL) {
-            this.store.delete(sessionId);
-            console.log(`Cleaned up old session: ${sessionId}`);
+      try {
+        const sessions = await this.store.list();
+        for (const session of sessions) {
+          if (now - session.createdAt > this.CLEANUP_INTERVAL) {
+            await this.store.delete(session.id);
+            console.log(`Cleaned up old session: ${session.id}`);
           }
-        } catch (error) {
-          // If we can't parse the timestamp, remove it to be safe
-          this.store.delete(sessionId);
         }
-      });
+      } catch (error) {
+        console.error('Session cleanup failed:', error.message);
+      }
     }, this.CLEANUP_INTERVAL);
   }
 
+  /**
+   * Save a finished replica to the library
+   * replica: { url, finalUrl, title, profile, html, stats, manifest }
+   * Returns its metadata (with its id), or null if the library is off
+   */
+  saveReplica(replica) {
+    return this.replicas.save(replica);
+  }
+
+  /**
+   * Metadata of saved replicas matching a search, most recent first
+   */
+  listReplicas(query) {
+    return this.replicas.list(query);
+  }
+
+  /**
+   * A saved replica's metadata and manifest, or null
+   */
+  getReplica(id) {
+    return this.replicas.get(id);
+  }
+
+  /**
+   * A saved replica's HTML, or null
+   */
+  getReplicaHTML(id) {
+    return this.replicas.readHTML(id);
+  }
+
+  /**
+   * Delete a saved replica; returns whether it existed
+   */
+  deleteReplica(id) {
+    return this.replicas.remove(id);
+  }
+
   /**
    * Get current storage stats (for debugging)
    */
-  getStats() {
-    let totalAssets = 0;
-    this.store.forEach(sessionStore => {
-      totalAssets += sessionStore.size;
-    });
+  async getStats() {
+    const sessions = await this.store.list();
 
     return {
-      sessions: this.store.size,
-      totalAssets: totalAssets
+      sessions: sessions.length,
+      totalAssets: sessions.reduce((total, session) => total + session.assets, 0)
     };
   }
 }
@@ -0,0 +1,45 @@
+/**
+ * Route: /cache
+ *
+ * Inspect and purge the fetcher's on-disk HTTP cache.
+ *
+ * GET /cache - size, limits and every entry, most recently used first
+ * DELETE /cache - remove everything
+ * DELETE /cache?url=... - remove one URL
+ */
+
+const fetcher = require('../mcps/fetcher');
+
+/**
+ * GET /cache
+ */
+async function inspectCache(req, res) {
+  try {
+    const cache = await fetcher.cache.inspect();
+    return res.json({ success: true, cache });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to read cache'
+    });
+  }
+}
+
+/**
+ * DELETE /cache?url=...
+ */
+async function purgeCache(req, res) {
+  const { url } = req.query;
+
+  try {
+    const removed = await fetcher.cache.purge(url);
+    return res.json({ success: true, removed });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to purge cache'
+    });
+  }
+}
+
+module.exports = { inspectCache, purgeCache };
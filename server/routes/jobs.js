@@ -0,0 +1,159 @@
+/**
+ * Route: /jobs
+ *
+ * Replications run in the background, for clients that want progress
+ * instead of one long request.
+ *
+ * POST /jobs - start a replication (same body as POST /replicate)
+ * GET /jobs/:id - status, progress, and the replica once done
+ * GET /jobs/:id/events - progress as Server-Sent Events
+ * DELETE /jobs/:id - cancel a running job, or forget a finished one
+ */
+
+const { JobStore } = require('../lib/jobs');
+const { runReplication, validateOptions, replicateEndpoint } = require('./replicate');
+
+// How long a finished job (and its replica) can be fetched, in seconds
+const JOB_TTL = parseInt(process.env.JOB_TTL, 10) || 600;
+
+// Jobs kept at once; the oldest finished ones make room for new ones
+const MAX_JOBS = parseInt(process.env.MAX_JOBS, 10) || 50;
+
+// Comment lines sent while a job is quiet, so proxies keep the stream open
+const HEARTBEAT_INTERVAL = 15000;
+
+const jobs = new JobStore({ ttl: JOB_TTL * 1000, maxJobs: MAX_JOBS });
+
+/**
+ * POST /jobs
+ */
+function createJob(req, res) {
+  const { url, links = 'absolute', output = 'pretty', profile } = req.body;
+
+  const validationError = validateOptions(url, { links, output, profile });
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError
+    });
+  }
+
+  const endpoint = replicateEndpoint(req);
+  let job;
+  try {
+    job = jobs.create(url, (onProgress, signal) => runReplication(url, {
+      links,
+      output,
+      profile,
+      replicateEndpoint: endpoint,
+      onProgress,
+      signal
+    }));
+  } catch (error) {
+    return res.status(429).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  return res.status(202).location(`/jobs/${job.id}`).json({
+    success: true,
+    job: jobs.describe(job)
+  });
+}
+
+/**
+ * GET /jobs/:id
+ */
+function getJob(req, res) {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  return res.json({ success: true, job: jobs.describe(job) });
+}
+
+/**
+ * GET /jobs/:id/events
+ * Design Decision: Every event carries its sequence number as the SSE
+ * id, so a reconnecting EventSource (which sends Last-Event-ID) picks up
+ * where it left off instead of replaying the whole job. The stream ends
+ * after the "done", "failed" or "cancelled" event.
+ *
+ * Closing the stream does not cancel the job - a client may reconnect or
+ * poll instead - so clients cancel with DELETE /jobs/:id.
+ */
+function jobEvents(req, res) {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const after = parseInt(req.get('Last-Event-ID'), 10) || 0;
+  let stop = () => {};
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL);
+
+  const close = () => {
+    clearInterval(heartbeat);
+    stop();
+    res.end();
+  };
+
+  const send = (event) => {
+    const { id, type, ...data } = event;
+    res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (type === 'done' || type === 'failed' || type === 'cancelled') {
+      close();
+    }
+  };
+
+  req.on('close', close);
+
+  // A finished job has no more events coming: replay and end
+  if (job.status !== 'running') {
+    job.events.filter(event => event.id > after).forEach(send);
+    return close();
+  }
+
+  stop = jobs.subscribe(job, after, send);
+}
+
+/**
+ * DELETE /jobs/:id
+ * A running job is cancelled and kept until JOB_TTL, so its watchers
+ * see it end; a finished one is forgotten, replica and all
+ */
+function deleteJob(req, res) {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  if (job.status === 'running') {
+    jobs.cancel(job);
+  } else {
+    jobs.remove(job);
+  }
+
+  return res.json({ success: true, job: jobs.describe(job) });
+}
+
+module.exports = { createJob, getJob, jobEvents, deleteJob };
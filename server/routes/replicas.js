@@ -0,0 +1,96 @@
+/**
+ * Route: /replicas
+ *
+ * Browse the library of saved replicas.
+ *
+ * GET /replicas?q=... - metadata of every replica, most recent first,
+ *   optionally only those whose URL or title contains q
+ * GET /replicas/:id - one replica's metadata and manifest
+ * GET /replicas/:id/view - the replica itself, as a page
+ * DELETE /replicas/:id - delete a replica
+ */
+
+const parser = require('../mcps/parser');
+const storage = require('../mcps/storage');
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Replica not found'
+  });
+}
+
+/**
+ * GET /replicas
+ */
+async function listReplicas(req, res) {
+  const query = typeof req.query.q === 'string' ? req.query.q : '';
+
+  try {
+    const replicas = await storage.listReplicas(query);
+    return res.json({ success: true, replicas });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to read replica library'
+    });
+  }
+}
+
+/**
+ * GET /replicas/:id
+ */
+async function getReplica(req, res) {
+  try {
+    const replica = await storage.getReplica(req.params.id);
+    if (!replica) return notFound(res);
+
+    return res.json({ success: true, replica });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to read replica'
+    });
+  }
+}
+
+/**
+ * GET /replicas/:id/view
+ * Design Decision: The replica carries its Content-Security-Policy as a
+ * <meta> tag; it is sent as a header too, so a file edited on disk still
+ * cannot run scripts on the app's origin
+ */
+async function viewReplica(req, res) {
+  try {
+    const html = await storage.getReplicaHTML(req.params.id);
+    if (html === null) {
+      return res.status(404).type('text/plain').send('Replica not found');
+    }
+
+    return res
+      .set('Content-Security-Policy', parser.CONTENT_SECURITY_POLICY)
+      .type('text/html')
+      .send(html);
+  } catch (error) {
+    return res.status(500).type('text/plain').send(error.message || 'Failed to read replica');
+  }
+}
+
+/**
+ * DELETE /replicas/:id
+ */
+async function deleteReplica(req, res) {
+  try {
+    const removed = await storage.deleteReplica(req.params.id);
+    if (!removed) return notFound(res);
+
+    return res.json({ success: true });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to delete replica'
+    });
+  }
+}
+
+module.exports = { listReplicas, getReplica, viewReplica, deleteReplica };
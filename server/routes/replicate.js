@@ -6,141 +6,601 @@
  * 2. Parser MCP - Parses HTML and extracts asset URLs
  * 3. Storage MCP - Manages assets and provides data URLs
  *
- * Request body: { url: string }
- * Response: { success: boolean, html: string, error?: string }
+ * Request body: { url: string, links?: 'absolute' | 'replicate' | 'none',
+ *   output?: 'pretty' | 'minified' | 'original', profile?: string | object }
+ * Response: { success: boolean, html: string, stats: object,
+ *   manifest: object[], replicaId: string | null, error?: string }
+ *
+ * GET /replicate?url=... returns the replica as a page, for links in
+ * "replicate" mode.
  */
 
 const fetcher = require('../mcps/fetcher');
 const parser = require('../mcps/parser');
 const storage = require('../mcps/storage');
+const profiles = require('../lib/profiles');
+const { Progress } = require('../lib/progress');
+
+// How many levels of nested @import to follow before leaving the rest as links
+const MAX_IMPORT_DEPTH = parseInt(process.env.MAX_IMPORT_DEPTH, 10) || 5;
+
+// Seconds a replication may take in total before it is cancelled
+const REPLICATION_TIMEOUT = parseInt(process.env.REPLICATION_TIMEOUT, 10) || 180;
 
 /**
- * Main replication logic
- * Design Decision: Orchestration happens here, MCPs remain focused on
- * their single responsibilities
+ * Follow a stylesheet's @import chain and attach the imported sheets to it
+ * Design Decision: Every node keeps its own CSS and base URL, so url()
+ * references are resolved against the file they appear in. Each @import
+ * statement is swapped for a placeholder in node.body and filled back in
+ * with the imported CSS by renderStylesheet.
+ *
+ * ancestors holds the URLs on the path from the root sheet: importing one
+ * of them is a cycle. fetchCache shares fetches between sheets that import
+ * the same file; fetchSession is the replication's fetcher session and
+ * progress its progress reporter.
  */
-async function replicate(req, res) {
-  const { url } = req.body;
+async function resolveImports(node, depth, ancestors, fetchCache, fetchSession, progress) {
+  const imports = parser.extractImports(node.css);
 
-  // Validate input
-  if (!url) {
-    return res.status(400).json({
-      success: false,
-      error: 'URL is required'
+  node.body = parser.replaceImports(node.css, imports, (rule, index) => importPlaceholder(index));
+  node.imports = await Promise.all(imports.map(async (rule) => {
+    const absolute = parser.resolveUrl(rule.url, node.baseUrl);
+    const resolved = { ...rule, absolute, child: null, skipped: null };
+
+    if (ancestors.has(absolute)) {
+      resolved.skipped = 'cycle';
+      return resolved;
+    }
+
+    if (depth >= MAX_IMPORT_DEPTH) {
+      resolved.skipped = 'depth';
+      return resolved;
+    }
+
+    if (!fetchCache.has(absolute)) {
+      progress.expect(1);
+      fetchCache.set(absolute, reportFetch(
+        fetcher.fetchCSS(absolute, node.baseUrl, fetchSession), progress, fetchSession, 'stylesheet', absolute
+      ));
+    }
+
+    const result = await fetchCache.get(absolute);
+    if (!result) {
+      resolved.skipped = 'failed';
+      return resolved;
+    }
+
+    const child = {
+      original: rule.url,
+      absolute,
+      baseUrl: result.finalUrl,
+      css: result.css
+    };
+
+    const chain = new Set([...ancestors, absolute, result.finalUrl]);
+    await resolveImports(child, depth + 1, chain, fetchCache, fetchSession, progress);
+
+    resolved.child = child;
+    return resolved;
+  }));
+
+  return node;
+}
+
+function importPlaceholder(index) {
+  return `/*__plunder_import_${index}__*/`;
+}
+
+/**
+ * List a stylesheet and every sheet it imports, depth first
+ */
+function flattenStylesheets(node) {
+  const sheets = [node];
+
+  (node.imports || []).forEach(rule => {
+    if (rule.child) {
+      sheets.push(...flattenStylesheets(rule.child));
+    }
+  });
+
+  return sheets;
+}
+
+/**
+ * Produce the final CSS for a stylesheet: its own url() references
+ * rewritten against its base URL, and each @import replaced by the
+ * imported sheet's CSS wrapped in the import's conditions.
+ *
+ * Imports that could not be inlined (too deep, failed fetch) are kept as
+ * absolute @import statements and hoisted, since browsers ignore @import
+ * after other rules. Cycles are dropped: the content is already present.
+ *
+ * Design Decision: A hoisted import carries the conditions of every
+ * import it was nested in (ancestors), so it applies only where its
+ * content would have. When they cannot be written as one @import, it is
+ * left in place inside the wrapped CSS, where browsers ignore it - a
+ * missing sheet rather than one applied unconditionally.
+ */
+function renderStylesheet(node, assetMap, hoisted, ancestors = []) {
+  let css = parser.processCSS(node.body, node.baseUrl, assetMap);
+
+  node.imports.forEach((rule, index) => {
+    let replacement = '';
+
+    if (rule.child) {
+      const chain = [...ancestors, rule];
+      replacement = parser.wrapImportedCSS(renderStylesheet(rule.child, assetMap, hoisted, chain), rule);
+    } else if (rule.skipped !== 'cycle') {
+      const combined = parser.combineImportConditions([...ancestors, rule]);
+      const conditions = combined === null ? rule.conditionText : combined;
+      const statement = `@import url("${rule.absolute}")${conditions ? ` ${conditions}` : ''};`;
+
+      if (combined === null) {
+        replacement = statement;
+      } else {
+        hoisted.push(statement);
+      }
+    }
+
+    css = css.replace(importPlaceholder(index), () => replacement);
+  });
+
+  return css;
+}
+
+/**
+ * Gather the fonts and images referenced by every fetched stylesheet,
+ * de-duplicated by absolute URL. Each reference is resolved against the
+ * stylesheet it appears in, which is also sent as its Referer.
+ */
+function collectStylesheetAssets(sheets) {
+  const collected = { images: [], fonts: [] };
+  const seen = new Set();
+
+  sheets.forEach(sheet => {
+    const found = parser.extractCSSAssets(sheet.body, sheet.baseUrl);
+    ['images', 'fonts'].forEach(kind => {
+      found[kind].forEach(asset => {
+        if (seen.has(asset.absolute)) return;
+        seen.add(asset.absolute);
+        collected[kind].push({ ...asset, referer: sheet.baseUrl });
+      });
     });
+  });
+
+  return collected;
+}
+
+/**
+ * Map each asset URL to how the page or a stylesheet referred to it, and
+ * what kind of asset it is, for the manifest
+ */
+function collectReferences(assets, sheets, cssAssets, images) {
+  const references = new Map();
+  const add = (kind, original, absolute) => {
+    if (!references.has(absolute)) {
+      references.set(absolute, { kind, original });
+    }
+  };
+
+  assets.stylesheets.forEach(sheet => add('stylesheet', sheet.original, sheet.absolute));
+  sheets.forEach(sheet => (sheet.imports || []).forEach(rule => add('stylesheet', rule.url, rule.absolute)));
+  cssAssets.fonts.forEach(font => add('font', font.original, font.absolute));
+  assets.sprites.forEach(sprite => add('sprite', sprite.original, sprite.absolute));
+  images.forEach(img => add('image', img.original, img.absolute));
+
+  return references;
+}
+
+/**
+ * The fetcher's manifest, with each asset's URL as written in the page
+ * or stylesheet (original) next to the URL it resolved to (url)
+ */
+function buildManifest(fetchSession, references) {
+  return fetchSession.manifest.map(entry => {
+    const reference = references.get(entry.url);
+    return {
+      original: reference ? reference.original : entry.url,
+      ...entry,
+      kind: reference ? reference.kind : entry.kind
+    };
+  });
+}
+
+/**
+ * Report the outcome of a fetch to the progress reporter once it settles,
+ * as the fetcher recorded it in the session's manifest
+ * Returns the fetch's promise, unchanged
+ */
+function reportFetch(promise, progress, fetchSession, kind, url) {
+  return promise.then(result => {
+    const entry = fetchSession.manifest.findLast(item => item.url === url);
+    progress.asset(kind, url, entry ? entry.outcome : (result ? 'fetched' : 'failed'), entry && entry.reason);
+    return result;
+  });
+}
+
+/**
+ * Check the options shared by every way of starting a replication
+ * Returns an error message, or null if the options are valid
+ */
+function validateOptions(url, { links, output, profile }) {
+  if (!url) {
+    return 'URL is required';
   }
 
-  // Validate URL format
   try {
     new URL(url);
   } catch (error) {
-    return res.status(400).json({
-      success: false,
-      error: 'Invalid URL format'
-    });
+    return 'Invalid URL format';
+  }
+
+  if (!parser.LINK_MODES.includes(links)) {
+    return `Invalid links option - expected one of: ${parser.LINK_MODES.join(', ')}`;
+  }
+
+  if (!parser.OUTPUT_MODES.includes(output)) {
+    return `Invalid output option - expected one of: ${parser.OUTPUT_MODES.join(', ')}`;
+  }
+
+  if (profile !== undefined) {
+    try {
+      profiles.resolveProfile(profile);
+    } catch (error) {
+      return error.message;
+    }
   }
 
+  return null;
+}
+
+/**
+ * A signal aborted when the client goes away before the response is sent
+ */
+function disconnectSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort(new Error('Client disconnected'));
+    }
+  });
+  return controller.signal;
+}
+
+/**
+ * URL of this endpoint as seen by the client, for links that route back
+ * through it in "replicate" link mode
+ */
+function replicateEndpoint(req) {
+  return `${req.protocol}://${req.get('host')}/replicate`;
+}
+
+/**
+ * Main replication logic
+ * Design Decision: Orchestration happens here, MCPs remain focused on
+ * their single responsibilities
+ *
+ * options: { links, output, profile, replicateEndpoint, onProgress,
+ * signal } - profile is a profile name or custom profile object, the
+ * fetcher's default if unset; onProgress is called with each progress
+ * event (see server/lib/progress.js); aborting signal cancels the
+ * replication, as does running longer than REPLICATION_TIMEOUT
+ * Returns: { html, stats, manifest, replicaId } - manifest lists every
+ * asset requested and what became of it; replicaId is the replica's id in
+ * the library, or null if it was not saved. Throws if the page itself
+ * cannot be replicated, or the abort reason if it was cancelled.
+ */
+async function runReplication(url, options) {
   // Create a session for this replication
-  const sessionId = storage.generateSessionId();
+  const sessionId = await storage.createSession();
+  const profile = options.profile === undefined ? fetcher.DEFAULT_PROFILE : profiles.resolveProfile(options.profile);
+
+  // Cancelled by the caller or the deadline, whichever comes first; the
+  // assets fetched so far are dropped at once
+  const controller = new AbortController();
+  const cancel = () => controller.abort(options.signal.reason);
+  const deadline = setTimeout(() => {
+    controller.abort(new Error(`Replication took longer than ${REPLICATION_TIMEOUT} seconds`));
+  }, REPLICATION_TIMEOUT * 1000);
+
+  if (options.signal) {
+    if (options.signal.aborted) cancel();
+    options.signal.addEventListener('abort', cancel, { once: true });
+  }
+  controller.signal.addEventListener('abort', () => storage.clearSession(sessionId), { once: true });
+
+  const fetchSession = fetcher.createSession(profile, controller.signal);
+  const progress = new Progress(options.onProgress);
 
   try {
-    console.log(`[${sessionId}] Starting replication of: ${url}`);
+    console.log(`[${sessionId}] Starting replication of: ${url} (${profile.label})`);
+
+    // STEP 1: Check robots.txt
+    if (fetcher.ROBOTS_POLICY !== 'off') {
+      console.log(`[${sessionId}] Checking robots.txt...`);
+      progress.startStep('robots', 'Checking robots.txt...');
+      if (!(await fetcher.checkRobots(url, fetchSession))) {
+        fetcher.enforceRobots(fetchSession, 'robots.txt');
+      }
+    }
 
-    // STEP 1: Fetch the HTML page
+    // STEP 2: Fetch the HTML page
     console.log(`[${sessionId}] Fetching HTML...`);
-    const { html, finalUrl } = await fetcher.fetchHTML(url);
+    progress.startStep('html', 'Fetching HTML...');
+    const { html, finalUrl, encoding, robots } = await fetcher.fetchHTML(url, fetchSession);
 
-    // STEP 2: Parse HTML and extract assets
-    console.log(`[${sessionId}] Parsing HTML...`);
+    // STEP 3: Parse HTML and extract assets
+    // Relative URLs resolve against <base href> when the page has one
+    console.log(`[${sessionId}] Parsing HTML (${encoding})...`);
+    progress.startStep('parse', `Parsing HTML (${encoding})...`);
     const $ = parser.parse(html);
-    const assets = parser.extractAssets($, finalUrl);
+
+    // The page may ask not to be archived, by header or meta tag
+    if (fetcher.ROBOTS_POLICY !== 'off') {
+      if (robots.has('noarchive')) {
+        fetcher.enforceRobots(fetchSession, 'X-Robots-Tag: noarchive');
+      }
+      if (parser.getRobotsDirectives($, fetcher.CRAWLER_TOKEN).has('noarchive')) {
+        fetcher.enforceRobots(fetchSession, '<meta name="robots" content="noarchive">');
+      }
+    }
+
+    parser.declareUTF8($);
+    parser.recordProfile($, profile);
+    const baseUrl = parser.getBaseUrl($, finalUrl);
+    const lazyImages = parser.promoteLazyImages($);
+    const responsiveImages = parser.selectResponsiveImages($, profile);
+    const assets = parser.extractAssets($, baseUrl);
+
+    if (lazyImages > 0) {
+      console.log(`[${sessionId}] Promoted ${lazyImages} lazy-loaded images`);
+    }
+
+    if (responsiveImages > 0) {
+      console.log(`[${sessionId}] Chose ${responsiveImages} responsive images for a ${profile.viewport.width}px viewport`);
+    }
 
     console.log(`[${sessionId}] Found ${assets.images.length} images, ${assets.stylesheets.length} stylesheets`);
 
-    // STEP 3: Fetch all stylesheets
+    // STEP 4: Fetch all stylesheets and follow their @import chains
     console.log(`[${sessionId}] Fetching stylesheets...`);
+    progress.startStep('stylesheets', 'Fetching stylesheets...', assets.stylesheets.length);
+    const fetchCache = new Map();
+
     const stylesheetPromises = assets.stylesheets.map(async (sheet) => {
-      const css = await fetcher.fetchCSS(sheet.absolute, finalUrl);
-      if (css) {
-        storage.storeAsset(sessionId, sheet.original, css);
-        storage.storeAsset(sessionId, sheet.absolute, css);
+      const result = await reportFetch(
+        fetcher.fetchCSS(sheet.absolute, finalUrl, fetchSession), progress, fetchSession, 'stylesheet', sheet.absolute
+      );
+      if (result) {
+        sheet.baseUrl = result.finalUrl;
+        sheet.css = result.css;
+        await resolveImports(sheet, 0, new Set([sheet.absolute, sheet.baseUrl]), fetchCache, fetchSession, progress);
       }
-      return { url: sheet.absolute, success: !!css };
+      return { url: sheet.absolute, success: !!result };
     });
 
-    await Promise.all(stylesheetPromises);
-
-    // STEP 4: Fetch all images (with concurrency limit to avoid overwhelming servers)
-    console.log(`[${sessionId}] Fetching images...`);
-    const CONCURRENCY = 5;
-    const imageResults = [];
-
-    for (let i = 0; i < assets.images.length; i += CONCURRENCY) {
-      const batch = assets.images.slice(i, i + CONCURRENCY);
-      const batchPromises = batch.map(async (img) => {
-        const dataUrl = await fetcher.fetchImage(img.absolute, finalUrl);
-        if (dataUrl) {
-          storage.storeAsset(sessionId, img.original, dataUrl);
-          storage.storeAsset(sessionId, img.absolute, dataUrl);
-        }
-        return { url: img.absolute, success: !!dataUrl };
-      });
+    const inlinePromises = assets.inlineStyles.map(block =>
+      resolveImports(block, 0, new Set(), fetchCache, fetchSession, progress)
+    );
 
-      const batchResults = await Promise.all(batchPromises);
-      imageResults.push(...batchResults);
-    }
+    await Promise.all([...stylesheetPromises, ...inlinePromises]);
+
+    const rootSheets = [
+      ...assets.stylesheets.filter(sheet => sheet.body !== undefined),
+      ...assets.inlineStyles
+    ];
+    const allSheets = rootSheets.flatMap(flattenStylesheets);
+    const importedSheets = allSheets.length - rootSheets.length;
+
+    console.log(`[${sessionId}] Inlined ${importedSheets} imported stylesheets`);
+
+    // STEP 5: Fetch fonts, images and SVG sprites, most visible first, so
+    // a replication that runs out of budget loses the least visible ones
+    // (the fetcher's host scheduler keeps this from overwhelming servers)
+    console.log(`[${sessionId}] Fetching fonts, images and sprites...`);
+    const cssAssets = collectStylesheetAssets(allSheets);
+
+    // The same image often appears in src, srcset and CSS - fetch it once
+    const seenImages = new Set();
+    const allImages = [...assets.images, ...cssAssets.images].filter(img => {
+      if (seenImages.has(img.absolute)) return false;
+      seenImages.add(img.absolute);
+      return true;
+    });
 
-    const successfulImages = imageResults.filter(r => r.success).length;
-    console.log(`[${sessionId}] Successfully fetched ${successfulImages}/${assets.images.length} images`);
+    const queue = [
+      ...cssAssets.fonts.map(font => ({ kind: 'font', priority: parser.ASSET_PRIORITIES.font, asset: font })),
+      ...assets.sprites.map(sprite => ({ kind: 'sprite', priority: parser.ASSET_PRIORITIES.sprite, asset: sprite })),
+      ...parser.rankImages($, allImages).map(img => ({ kind: 'image', priority: img.priority, asset: img }))
+    ].sort((a, b) => a.priority - b.priority);
+
+    progress.startStep('assets', 'Fetching fonts, images and sprites...', queue.length);
+
+    // Called in queue order: the fetcher admits assets into the budget in
+    // the order they were requested
+    const fetchers = {
+      font: (font) => fetcher.fetchAsset(font.absolute, font.referer, fetchSession),
+      sprite: (sprite) => fetcher.fetchSVG(sprite.absolute, finalUrl, fetchSession),
+      image: (img) => fetcher.fetchImage(img.absolute, img.referer || finalUrl, fetchSession)
+    };
+    const results = await Promise.all(queue.map(item =>
+      reportFetch(fetchers[item.kind](item.asset), progress, fetchSession, item.kind, item.asset.absolute)
+    ));
+
+    const skippedUrls = new Set(fetchSession.stats.skipped.map(skip => skip.url));
+    const sprites = {};
+    let successfulFonts = 0;
+    let successfulImages = 0;
+    const stored = [];
+
+    queue.forEach((item, index) => {
+      const result = results[index];
+      const { asset } = item;
+
+      if (item.kind === 'sprite') {
+        if (result) sprites[asset.absolute] = result;
+        return;
+      }
 
-    // STEP 5: Get asset map and process CSS to replace URLs
-    const assetMap = storage.getAssetMap(sessionId);
+      // Skipped assets keep loading from the original site
+      const replacement = result || (skippedUrls.has(asset.absolute) ? asset.absolute : null);
+      if (!replacement) return;
 
-    // Process each stylesheet's CSS to rewrite URLs within it
+      // CSS references are only keyed by absolute URL: their relative
+      // form is relative to the stylesheet, not the page
+      if (item.kind === 'image' && !asset.referer) {
+        stored.push(storage.storeAsset(sessionId, asset.original, replacement));
+      }
+      stored.push(storage.storeAsset(sessionId, asset.absolute, replacement));
+
+      if (result && item.kind === 'font') successfulFonts++;
+      if (result && item.kind === 'image') successfulImages++;
+    });
+    await Promise.all(stored);
+
+    console.log(`[${sessionId}] Successfully fetched ${successfulFonts}/${cssAssets.fonts.length} fonts`);
+    console.log(`[${sessionId}] Successfully fetched ${successfulImages}/${allImages.length} images`);
+
+    if (assets.sprites.length > 0) {
+      console.log(`[${sessionId}] Fetched ${Object.keys(sprites).length}/${assets.sprites.length} SVG sprites`);
+    }
+
+    if (skippedUrls.size > 0) {
+      console.log(`[${sessionId}] Skipped ${skippedUrls.size} assets over the budget`);
+    }
+
+    // STEP 6: Get asset map and render each stylesheet with its imports inlined
+    const assetMap = await storage.getAssetMap(sessionId);
     const processedAssetMap = { ...assetMap };
+
+    const renderRoot = (sheet) => {
+      const hoisted = [];
+      const css = renderStylesheet(sheet, assetMap, hoisted);
+      return hoisted.length > 0 ? `${hoisted.join('\n')}\n${css}` : css;
+    };
+
     assets.stylesheets.forEach(sheet => {
-      const css = assetMap[sheet.original] || assetMap[sheet.absolute];
-      if (css && typeof css === 'string') {
-        // Process CSS to rewrite URLs if it contains any
-        const processedCSS = css.includes('url(')
-          ? parser.processCSS(css, finalUrl, assetMap)
-          : css;
-        processedAssetMap[sheet.original] = processedCSS;
-        processedAssetMap[sheet.absolute] = processedCSS;
-      }
+      if (sheet.body === undefined) return;
+      const processedCSS = renderRoot(sheet);
+      processedAssetMap[sheet.original] = processedCSS;
+      processedAssetMap[sheet.absolute] = processedCSS;
+    });
+
+    assets.inlineStyles.forEach(block => {
+      block.css = renderRoot(block);
     });
 
-    // STEP 6: Rewrite HTML with new asset URLs
+    // STEP 7: Rewrite HTML with new asset URLs
     console.log(`[${sessionId}] Rewriting HTML...`);
+    progress.startStep('rewrite', 'Rewriting HTML...');
+    parser.inlineSprites($, sprites, baseUrl);
+    parser.rewriteAssets($, processedAssetMap, baseUrl);
+    parser.rewriteStyleBlocks($, assets.inlineStyles);
+    parser.rewriteLinks($, baseUrl, finalUrl, options);
+
+    // After link rewriting, so the placeholder links always go to the original
+    const embeds = parser.replaceEmbeds($, baseUrl);
+
+    // Sanitize last, so everything inlined above is cleaned too
     parser.stripUnsafeContent($);
-    parser.rewriteAssets($, processedAssetMap, finalUrl);
     parser.addReplicaBanner($);
 
-    const rawHTML = parser.getHTML($);
-    const replicatedHTML = parser.formatHTML(rawHTML);
+    const replicatedHTML = parser.formatHTML($, options.output);
 
-    // STEP 7: Clean up session (we've embedded everything)
-    storage.clearSession(sessionId);
+    // STEP 8: Clean up session (we've embedded everything)
+    await storage.clearSession(sessionId);
 
     console.log(`[${sessionId}] Replication complete!`);
 
-    // Return the replicated HTML
-    return res.json({
-      success: true,
-      html: replicatedHTML,
-      stats: {
-        images: successfulImages,
-        totalImages: assets.images.length,
-        stylesheets: assets.stylesheets.length
-      }
-    });
+    const manifest = buildManifest(fetchSession, collectReferences(assets, allSheets, cssAssets, allImages));
+    const stats = {
+      images: successfulImages,
+      totalImages: allImages.length,
+      fonts: successfulFonts,
+      totalFonts: cssAssets.fonts.length,
+      stylesheets: assets.stylesheets.length,
+      imports: importedSheets,
+      sprites: Object.keys(sprites).length,
+      embeds,
+      encoding,
+      profile: profile.name,
+      attempts: fetchSession.stats.attempts,
+      retries: fetchSession.stats.retries,
+      cacheHits: fetchSession.stats.cacheHits,
+      revalidated: fetchSession.stats.revalidated,
+      failures: fetchSession.stats.failures,
+      skipped: fetchSession.stats.skipped,
+      bytes: fetchSession.budget.bytes,
+      warnings: fetchSession.warnings
+    };
+
+    // STEP 9: Save to the replica library - a replica that could not be
+    // saved is still returned
+    let replicaId = null;
+    try {
+      const saved = await storage.saveReplica({
+        url,
+        finalUrl,
+        title: parser.getTitle($),
+        profile: profile.name,
+        html: replicatedHTML,
+        stats,
+        manifest
+      });
+      replicaId = saved ? saved.id : null;
+    } catch (error) {
+      console.error(`[${sessionId}] Could not save replica:`, error.message);
+    }
+
+    return { html: replicatedHTML, stats, manifest, replicaId };
 
   } catch (error) {
     console.error(`[${sessionId}] Replication failed:`, error.message);
 
     // Clean up on error
-    storage.clearSession(sessionId);
+    await storage.clearSession(sessionId);
+    throw error;
+  } finally {
+    clearTimeout(deadline);
+    if (options.signal) {
+      options.signal.removeEventListener('abort', cancel);
+    }
+  }
+}
+
+/**
+ * POST /replicate - returns the replica as JSON
+ */
+async function replicate(req, res) {
+  const { url, links = 'absolute', output = 'pretty', profile } = req.body;
 
+  // Validate input
+  const validationError = validateOptions(url, { links, output, profile });
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError
+    });
+  }
+
+  try {
+    const { html, stats, manifest, replicaId } = await runReplication(url, {
+      links,
+      output,
+      profile,
+      replicateEndpoint: replicateEndpoint(req),
+      signal: disconnectSignal(res)
+    });
+
+    // Return the replicated HTML
+    return res.json({
+      success: true,
+      html,
+      stats,
+      manifest,
+      replicaId
+    });
+  } catch (error) {
     return res.status(500).json({
       success: false,
       error: error.message || 'Failed to replicate website'
@@ -148,4 +608,37 @@ async function replicate(req, res) {
   }
 }
 
-module.exports = { replicate };
+/**
+ * GET /replicate?url=...&links=... - returns the replica itself as HTML
+ * Design Decision: This is what "replicate" link mode points at, so
+ * clicking a link in a replica captures the linked page on demand. It is
+ * served from the app's origin, so the Content-Security-Policy goes in a
+ * header as well as the replica's <meta> tag, as for GET /replicas/:id/view
+ */
+async function replicatePage(req, res) {
+  const { url, links = 'replicate', output = 'pretty', profile } = req.query;
+
+  const validationError = validateOptions(url, { links, output, profile });
+  if (validationError) {
+    return res.status(400).type('text/plain').send(validationError);
+  }
+
+  try {
+    const { html } = await runReplication(url, {
+      links,
+      output,
+      profile,
+      replicateEndpoint: replicateEndpoint(req),
+      signal: disconnectSignal(res)
+    });
+
+    return res
+      .set('Content-Security-Policy', parser.CONTENT_SECURITY_POLICY)
+      .type('text/html')
+      .send(html);
+  } catch (error) {
+    return res.status(500).type('text/plain').send(error.message || 'Failed to replicate website');
+  }
+}
+
+module.exports = { replicate, replicatePage, runReplication, validateOptions, replicateEndpoint };
@@ -0,0 +1,96 @@
+/**
+ * CSS tokenizer edge cases (server/lib/css.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const css = require('../server/lib/css');
+
+const urls = (source) => css.findUrls(source).map(ref => ref.url);
+
+test('URLs with spaces and parentheses', () => {
+  assert.deepStrictEqual(urls('a{background:url("my image (1).png")}'), ['my image (1).png']);
+  assert.deepStrictEqual(urls("a{background:url('a b/c(d).png')}"), ['a b/c(d).png']);
+  assert.deepStrictEqual(urls('a{background:url(my\\ image\\(2\\).png)}'), ['my image(2).png']);
+});
+
+test('escaped quotes inside strings', () => {
+  assert.deepStrictEqual(urls('a{background:url("say \\"hi\\".png")}'), ['say "hi".png']);
+  assert.deepStrictEqual(urls("a{background:url('it\\'s.png')}"), ["it's.png"]);
+});
+
+test('comments never produce references', () => {
+  assert.deepStrictEqual(urls('/* url(commented.png) */ a{background:url(real.png)}'), ['real.png']);
+  assert.deepStrictEqual(urls('a{/* background:url(x.png) */color:red}'), []);
+  assert.deepStrictEqual(urls('a{background:url("b/*c*/d.png")}'), ['b/*c*/d.png']);
+});
+
+test('image-set() bare strings and url() candidates', () => {
+  const refs = css.findUrls('a{background:image-set("a.png" 1x, url(b.png) 2x, "c.avif" type("image/avif"))}');
+
+  assert.deepStrictEqual(refs.map(ref => [ref.url, ref.bare]), [
+    ['a.png', true],
+    ['b.png', false],
+    ['c.avif', true]
+  ]);
+  assert.deepStrictEqual(urls('a{background:-webkit-image-set("x.png" 1x)}'), ['x.png']);
+});
+
+test('src: local() fallbacks are not URLs', () => {
+  const refs = css.findUrls('@font-face{src:local("My Font"), local(MyFont), url(f.woff2) format("woff2")}');
+
+  assert.deepStrictEqual(refs.map(ref => ref.url), ['f.woff2']);
+  assert.strictEqual(refs[0].fontFace, true);
+});
+
+test('@import with media and supports conditions', () => {
+  const imports = css.findImports([
+    '@import url("a.css") screen and (min-width: 600px);',
+    '@import "b.css" supports(display: grid) print;',
+    '@import url(c.css) layer(base);',
+    '@import "d.css";'
+  ].join('\n'));
+
+  assert.deepStrictEqual(imports.map(({ url, conditionText }) => [url, conditionText]), [
+    ['a.css', 'screen and (min-width: 600px)'],
+    ['b.css', 'supports(display: grid) print'],
+    ['c.css', 'layer(base)'],
+    ['d.css', '']
+  ]);
+  assert.strictEqual(imports[0].statement, '@import url("a.css") screen and (min-width: 600px);');
+
+  const refs = css.findUrls('@import "b.css" supports(display: grid);');
+  assert.deepStrictEqual(refs.map(ref => [ref.url, ref.import, ref.bare]), [['b.css', true, true]]);
+});
+
+test('@import inside a block is not a top-level import', () => {
+  assert.deepStrictEqual(css.findImports('@media print{@import "x.css";}'), []);
+});
+
+test('rewriting leaves unrelated matching substrings untouched', () => {
+  const source = 'a{background:url(x.png)} /* x.png */ b::after{content:"x.png"} '
+    + 'c{background:url("x.png")} d{background:url(x.png.bak)}';
+
+  const rewritten = css.rewriteUrls(source, ref => (ref.url === 'x.png' ? 'data:image/png;base64,AAA' : null));
+
+  assert.strictEqual(rewritten, 'a{background:url("data:image/png;base64,AAA")} /* x.png */ b::after{content:"x.png"} '
+    + 'c{background:url("data:image/png;base64,AAA")} d{background:url(x.png.bak)}');
+});
+
+test('rewritten URLs are quoted and escaped', () => {
+  const rewritten = css.rewriteUrls('a{background:url(a.png)} b{background:image-set("b.png" 1x)}',
+    ref => `https://example.com/${ref.url.replace('.png', ' "(1)".png')}`);
+
+  assert.strictEqual(rewritten, 'a{background:url("https://example.com/a \\"(1)\\".png")} '
+    + 'b{background:image-set("https://example.com/b \\"(1)\\".png" 1x)}');
+});
+
+test('unsafe CSS is neutralized', () => {
+  assert.strictEqual(css.neutralizeUnsafeCSS('a{width:expression(alert(1))}'), 'a{width:none}');
+  assert.strictEqual(css.neutralizeUnsafeCSS('a{width:e\\xpression(alert(1))}'), 'a{width:none}');
+  assert.strictEqual(
+    css.neutralizeUnsafeCSS('a{background:url("java\\9script:alert(1)")}'),
+    'a{background:url("about:invalid")}'
+  );
+  assert.strictEqual(css.neutralizeUnsafeCSS('a{behavior:url(x.htc)}'), 'a{-plunder-blocked:url(x.htc)}');
+});
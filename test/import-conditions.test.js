@@ -0,0 +1,42 @@
+/**
+ * Conditions of hoisted @import statements (Parser.combineImportConditions)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const parser = require('../server/mcps/parser');
+
+// The condition text of an @import nested inside imports with these
+const combine = (...conditionTexts) => parser.combineImportConditions(
+  conditionTexts.map(text => parser.extractImports(`@import url(x.css) ${text};`)[0])
+);
+
+test('a top-level import keeps its own conditions', () => {
+  assert.strictEqual(combine('layer(base) supports(display: grid) screen'), 'layer(base) supports(display: grid) screen');
+  assert.strictEqual(combine(''), '');
+});
+
+test('media query lists combine every pair', () => {
+  assert.strictEqual(combine('screen, print', '(min-width: 600px)'),
+    'screen and (min-width: 600px), print and (min-width: 600px)');
+  assert.strictEqual(combine('(a) or (b)', 'only screen and (c)'), 'screen and ((a) or (b)) and (c)');
+  assert.strictEqual(combine('all', 'print'), 'print');
+});
+
+test('media types that never match together apply nowhere', () => {
+  assert.strictEqual(combine('print', 'screen'), 'not all');
+  assert.strictEqual(combine('print, screen', 'screen'), 'screen');
+});
+
+test('supports conditions and layers nest', () => {
+  assert.strictEqual(combine('supports(display: grid)', 'supports((a) or (b)) print'),
+    'supports((display: grid) and ((a) or (b))) print');
+  assert.strictEqual(combine('layer(a)', 'layer(b) screen'), 'layer(a.b) screen');
+  assert.strictEqual(combine('layer', ''), 'layer');
+});
+
+test('conditions one @import cannot express are refused', () => {
+  assert.strictEqual(combine('layer', 'layer(b)'), null);
+  assert.strictEqual(combine('layer(a)', 'layer'), null);
+  assert.strictEqual(combine('not screen', 'print'), null);
+});
@@ -0,0 +1,114 @@
+/**
+ * HTML serializer (server/lib/serializer.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const { serialize } = require('../server/lib/serializer');
+
+const MODES = ['pretty', 'minified', 'original'];
+
+function render(body, mode) {
+  return serialize(cheerio.load(`<!DOCTYPE html><html><head></head><body>${body}</body></html>`), mode);
+}
+
+// The text a browser shows, with whitespace collapsed the way it renders
+function renderedText(html, selector) {
+  return cheerio.load(html)(selector).text().replace(/[ \t\n\r\f]+/g, ' ');
+}
+
+/**
+ * Each case: the body, the markup every mode must print on one line,
+ * keyed by mode, and the element whose rendered text must not change
+ */
+const INLINE_CASES = {
+  'text next to inline elements': [
+    '<p>one<b>two</b><a href="x">three</a> <em>four</em></p>',
+    { all: '<p>one<b>two</b><a href="x">three</a> <em>four</em></p>' },
+    'p'
+  ],
+  'text next to picture': [
+    '<p>a<picture><source srcset="a.webp"><img src="a.png"></picture>b</p>',
+    { all: '<p>a<picture><source srcset="a.webp"><img src="a.png"></picture>b</p>' },
+    'p'
+  ],
+  'text next to video and audio': [
+    '<p>x<video></video>y<audio></audio>z</p>',
+    { all: '<p>x<video></video>y<audio></audio>z</p>' },
+    'p'
+  ],
+  'a comment between text': [
+    '<p>foo<!-- c -->bar</p>',
+    { pretty: '<p>foo<!-- c -->bar</p>', minified: '<p>foobar</p>', original: '<p>foo<!-- c -->bar</p>' },
+    'p'
+  ],
+  'a comment between inline elements': [
+    '<div><span>a</span><!-- c --><span>b</span></div>',
+    { pretty: '<div><span>a</span><!-- c --><span>b</span></div>', minified: '<div><span>a</span><span>b</span></div>' },
+    'div'
+  ]
+};
+
+Object.entries(INLINE_CASES).forEach(([name, [body, expected, selector]]) => {
+  MODES.forEach(mode => {
+    test(`${name} (${mode})`, () => {
+      const output = render(body, mode);
+      const line = expected[mode] || expected.all || expected.pretty;
+
+      assert.ok(output.includes(line), `Expected ${line} in:\n${output}`);
+      assert.strictEqual(renderedText(output, selector), renderedText(body, selector));
+    });
+  });
+});
+
+test('comments between blocks go on their own line', () => {
+  const body = '<div><!-- c --><div>a</div>\n<!-- d -->\n<p>b</p></div>';
+
+  assert.strictEqual(render(body, 'pretty'), [
+    '<!DOCTYPE html>',
+    '<html>',
+    '  <head></head>',
+    '  <body>',
+    '    <div>',
+    '      <!-- c -->',
+    '      <div>a</div>',
+    '      <!-- d -->',
+    '      <p>b</p>',
+    '    </div>',
+    '  </body>',
+    '</html>',
+    ''
+  ].join('\n'));
+  assert.strictEqual(render(body, 'minified'),
+    '<!DOCTYPE html><html><head></head><body><div><div>a</div><p>b</p></div></body></html>');
+  assert.ok(render(body, 'original').includes(body));
+});
+
+test('pre and textarea content is copied exactly', () => {
+  const body = '<div><pre>\n\n  indented\n\tline <b>bold</b>  </pre><textarea>\n\n x  y\n</textarea></div>';
+
+  MODES.forEach(mode => {
+    const output = render(body, mode);
+    const $ = cheerio.load(output);
+
+    assert.ok(output.includes('<pre>\n\n  indented\n\tline <b>bold</b>  </pre>'), `${mode}:\n${output}`);
+    assert.ok(output.includes('<textarea>\n\n x  y\n</textarea>'), `${mode}:\n${output}`);
+    assert.strictEqual($('pre').text(), '\n  indented\n\tline bold  ');
+    assert.strictEqual($('textarea').text(), '\n x  y\n');
+  });
+});
+
+test('elements styled white-space: pre are copied exactly', () => {
+  const body = '<div style="white-space: pre">  a\n   <span> b </span></div>';
+
+  MODES.forEach(mode => {
+    assert.ok(render(body, mode).includes(body), mode);
+  });
+});
+
+test('whitespace in inline content is collapsed, not removed, when minified', () => {
+  const output = render('<p>\n  one   <b>two</b>\n\n  three\n</p>', 'minified');
+
+  assert.ok(output.includes('<p> one <b>two</b> three </p>'), output);
+});
@@ -0,0 +1,168 @@
+/**
+ * Session store conformance (server/lib/session-store.js)
+ *
+ * The behaviour every session store must share, checked the same way for
+ * each one. A new store is done when it is added to STORES and passes
+ * these.
+ *
+ * Design Decision: Each check gets a fresh store, in a scratch directory
+ * of its own for the stores that keep files. The sqlite store is skipped,
+ * not failed, where its optional dependency is not installed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemorySessionStore, FileSessionStore, SqliteSessionStore } = require('../server/lib/session-store');
+
+const CHECKS = {
+  'creates empty sessions with their creation time': async (store) => {
+    await store.create('session_a', { createdAt: 1700000000000 });
+
+    assert.deepStrictEqual(await store.get('session_a'), { id: 'session_a', createdAt: 1700000000000, assets: 0 });
+    assert.deepStrictEqual(await store.getAssets('session_a'), {});
+  },
+
+  'knows nothing of unknown sessions': async (store) => {
+    assert.strictEqual(await store.get('session_missing'), null);
+    assert.deepStrictEqual(await store.getAssets('session_missing'), {});
+    assert.deepStrictEqual(await store.list(), []);
+  },
+
+  'stores and returns assets by URL': async (store) => {
+    const image = `data:image/png;base64,${'A'.repeat(200000)}`;
+    await store.create('session_a', { createdAt: 1 });
+
+    assert.strictEqual(await store.setAsset('session_a', 'https://example.com/logo.png', image), true);
+    assert.strictEqual(await store.setAsset('session_a', 'img/logo.png?v=2&size=large', image), true);
+    assert.strictEqual(await store.setAsset('session_a', 'https://example.com/ünïcode/ file.css', 'body{}'), true);
+
+    assert.deepStrictEqual(await store.getAssets('session_a'), {
+      'https://example.com/logo.png': image,
+      'img/logo.png?v=2&size=large': image,
+      'https://example.com/ünïcode/ file.css': 'body{}'
+    });
+    assert.strictEqual((await store.get('session_a')).assets, 3);
+  },
+
+  'replaces an asset stored twice': async (store) => {
+    await store.create('session_a', { createdAt: 1 });
+    await store.setAsset('session_a', 'https://example.com/a.png', 'first');
+    await store.setAsset('session_a', 'https://example.com/a.png', 'second');
+
+    assert.deepStrictEqual(await store.getAssets('session_a'), { 'https://example.com/a.png': 'second' });
+    assert.strictEqual((await store.get('session_a')).assets, 1);
+  },
+
+  'keeps sessions apart': async (store) => {
+    await store.create('session_a', { createdAt: 1 });
+    await store.create('session_b', { createdAt: 2 });
+    await store.setAsset('session_a', 'https://example.com/a.png', 'a');
+    await store.setAsset('session_b', 'https://example.com/a.png', 'b');
+
+    assert.deepStrictEqual(await store.getAssets('session_a'), { 'https://example.com/a.png': 'a' });
+    assert.deepStrictEqual(await store.getAssets('session_b'), { 'https://example.com/a.png': 'b' });
+  },
+
+  'ignores assets for unknown sessions': async (store) => {
+    assert.strictEqual(await store.setAsset('session_missing', 'https://example.com/a.png', 'a'), false);
+
+    assert.strictEqual(await store.get('session_missing'), null);
+    assert.deepStrictEqual(await store.list(), []);
+  },
+
+  'deletes sessions with their assets': async (store) => {
+    await store.create('session_a', { createdAt: 1 });
+    await store.create('session_b', { createdAt: 2 });
+    await store.setAsset('session_a', 'https://example.com/a.png', 'a');
+
+    await store.delete('session_a');
+    await store.delete('session_missing');
+
+    assert.strictEqual(await store.get('session_a'), null);
+    assert.deepStrictEqual(await store.getAssets('session_a'), {});
+    assert.strictEqual(await store.setAsset('session_a', 'https://example.com/b.png', 'b'), false);
+    assert.deepStrictEqual((await store.list()).map(session => session.id), ['session_b']);
+  },
+
+  'starts a re-created session empty': async (store) => {
+    await store.create('session_a', { createdAt: 1 });
+    await store.setAsset('session_a', 'https://example.com/a.png', 'a');
+    await store.create('session_a', { createdAt: 2 });
+
+    assert.deepStrictEqual(await store.get('session_a'), { id: 'session_a', createdAt: 2, assets: 0 });
+  },
+
+  'lists every session with its metadata': async (store) => {
+    await store.create('session_a', { createdAt: 1000 });
+    await store.create('session_b', { createdAt: 2000 });
+    await store.setAsset('session_b', 'https://example.com/a.png', 'a');
+
+    const sessions = (await store.list()).sort((a, b) => a.createdAt - b.createdAt);
+    assert.deepStrictEqual(sessions, [
+      { id: 'session_a', createdAt: 1000, assets: 0 },
+      { id: 'session_b', createdAt: 2000, assets: 1 }
+    ]);
+  },
+
+  'stores concurrent assets without losing any': async (store) => {
+    await store.create('session_a', { createdAt: 1 });
+    await Promise.all(Array.from({ length: 50 }, (_, i) =>
+      store.setAsset('session_a', `https://example.com/${i}.png`, `value ${i}`)
+    ));
+
+    const assets = await store.getAssets('session_a');
+    assert.strictEqual(Object.keys(assets).length, 50);
+    assert.strictEqual(assets['https://example.com/49.png'], 'value 49');
+  },
+
+  'refuses ids that are not file-name safe': async (store) => {
+    await assert.rejects(store.create('../escape', { createdAt: 1 }), /Invalid session id/);
+    await assert.rejects(store.create('', { createdAt: 1 }), /Invalid session id/);
+  }
+};
+
+function hasSqlite() {
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const STORES = {
+  memory: () => new MemorySessionStore(),
+  filesystem: (dir) => new FileSessionStore(dir),
+  sqlite: (dir) => new SqliteSessionStore(path.join(dir, 'sessions.sqlite'))
+};
+
+Object.entries(STORES).forEach(([backend, createStore]) => {
+  const skip = backend === 'sqlite' && !hasSqlite() && 'better-sqlite3 is not installed';
+
+  test.describe(backend, { skip }, () => {
+    let root;
+    let count = 0;
+
+    test.before(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'plunder-sessions-'));
+    });
+
+    test.after(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    Object.entries(CHECKS).forEach(([name, check]) => {
+      test(name, async () => {
+        const store = createStore(path.join(root, String(count++)));
+        try {
+          await check(store);
+        } finally {
+          await store.close();
+        }
+      });
+    });
+  });
+});
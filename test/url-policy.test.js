@@ -0,0 +1,32 @@
+/**
+ * URL policy (server/lib/url-policy.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { UrlPolicy } = require('../server/lib/url-policy');
+
+const unresolvable = async () => {
+  throw Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' });
+};
+
+test('proxied names that do not resolve locally are refused', async () => {
+  const policy = new UrlPolicy({ lookup: unresolvable });
+
+  await assert.rejects(policy.check('http://intranet.corp/', { proxied: true }), /Could not resolve intranet\.corp/);
+  await assert.rejects(policy.check('http://metadata.google.internal/', { proxied: true }), /Could not resolve/);
+});
+
+test('allowlisted names are left to the proxy', async () => {
+  const policy = new UrlPolicy({ allow: ['intranet.corp', '*.partner.example'], lookup: unresolvable });
+
+  await policy.check('http://intranet.corp/', { proxied: true });
+  await policy.check('https://cdn.partner.example/a.png', { proxied: true });
+  await assert.rejects(policy.check('http://other.corp/', { proxied: true }), /Could not resolve/);
+});
+
+test('proxied names that resolve locally are still checked', async () => {
+  const policy = new UrlPolicy({ lookup: async () => [{ address: '10.0.0.5', family: 4 }] });
+
+  await assert.rejects(policy.check('http://intranet.corp/', { proxied: true }), /10\.0\.0\.5, a private address/);
+});
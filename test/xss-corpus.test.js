@@ -0,0 +1,181 @@
+/**
+ * XSS regression corpus (Parser.stripUnsafeContent, server/lib/allowlist.js)
+ *
+ * Every payload is sanitized and serialized in each output mode, then the
+ * output is parsed again the way a browser would and searched for
+ * anything that could run script. Parsing the output, rather than
+ * matching strings, is what catches mutation XSS: markup that is harmless
+ * as sanitized but turns into something else once re-parsed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const parser = require('../server/mcps/parser');
+
+const SCRIPT_TAGS = new Set([
+  'script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'base', 'portal',
+  'template', 'foreignobject', 'animate', 'animatemotion', 'animatetransform', 'set', 'handler'
+]);
+
+const URL_ATTRIBUTES = new Set([
+  'href', 'xlink:href', 'src', 'srcset', 'poster', 'action', 'formaction', 'data', 'background', 'cite'
+]);
+
+const CORPUS = {
+  'event handlers': [
+    ['onpointerenter', '<div onpointerenter="alert(1)">hover me</div>', 'hover me'],
+    ['onanimationend', '<style>@keyframes x{}</style><div style="animation:x 1s" onanimationend="alert(1)">animated</div>', 'animated'],
+    ['upper-case handler', '<img src="a.png" ONPOINTERENTER=alert(1)>'],
+    ['handler on SVG', '<svg><rect width="10" height="10" onanimationend="alert(1)"/></svg>'],
+    ['handler with no quotes or spaces', '<p/onpointerenter=alert(1)>text</p>', 'text']
+  ],
+
+  'javascript: URLs': [
+    ['href with a tab entity', '<a href="jav&#x09;ascript:alert(1)">link</a>', 'link'],
+    ['href with a literal tab', '<a href="java\tscript:alert(1)">link</a>', 'link'],
+    ['href fully entity-encoded', '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">link</a>', 'link'],
+    ['href with &colon;', '<a href="javascript&colon;alert(1)">link</a>', 'link'],
+    ['href with leading space and mixed case', '<a href=" \x01JaVaScRiPt:alert(1)">link</a>', 'link'],
+    ['href with a newline entity', '<a href="javas&NewLine;cript:alert(1)">link</a>', 'link'],
+    ['src with a newline entity', '<img src="jav&#x0A;ascript:alert(1)">'],
+    ['srcset candidate', '<img src="a.png" srcset="a.png 1x, jav&#x09;ascript:alert(1) 2x">'],
+    ['picture source srcset', '<picture><source srcset="javascript:alert(1)"><img src="a.png"></picture>'],
+    ['button formaction', '<form><button formaction="javascript:alert(1)">go</button></form>', 'go'],
+    ['input formaction with a tab entity', '<form><input type="submit" formaction="jav&#9;ascript:alert(1)"></form>'],
+    ['video poster', '<video poster="javascript:alert(1)"></video>'],
+    ['video poster with a tab entity', '<video poster="java&Tab;script:alert(1)"></video>'],
+    ['SVG link', '<svg><a href="javascript:alert(1)"><text y="20">svg link</text></a></svg>', 'svg link'],
+    ['SVG xlink:href', '<svg><a xlink:href="javascript:alert(1)"><text y="20">xlink</text></a></svg>', 'xlink'],
+    ['link to a data: document', '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">data</a>', 'data'],
+    ['vbscript', '<a href="vbscript:msgbox(1)">vb</a>', 'vb']
+  ],
+
+  'navigation and frames': [
+    ['meta refresh', '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">'],
+    ['meta refresh with padding', '<meta http-equiv=" Refresh " content="0;url=https://evil.example/">'],
+    ['base href', '<base href="javascript:alert(1)//"><a href="x">relative</a>', 'relative'],
+    ['iframe srcdoc', '<iframe srcdoc="<script>alert(1)</script>"></iframe>'],
+    ['iframe srcdoc with entities', '<iframe srcdoc="&lt;img src=x onerror=alert(1)&gt;"></iframe>'],
+    ['iframe src', '<iframe src="javascript:alert(1)"></iframe>'],
+    ['object data', '<object data="javascript:alert(1)"></object>'],
+    ['embed src', '<embed src="data:image/svg+xml,<svg onload=alert(1)>">']
+  ],
+
+  'SVG': [
+    ['script', '<svg><script>alert(1)</script></svg>'],
+    ['script with href', '<svg><script href="data:,alert(1)"/></svg>'],
+    ['foreignObject', '<svg><foreignObject><iframe src="javascript:alert(1)"></iframe><div onclick="alert(1)">fo</div></foreignObject></svg>'],
+    ['animate href', '<svg><a><animate attributeName="href" values="javascript:alert(1)"/><text y="20">click</text></a></svg>', 'click'],
+    ['set handler', '<svg><set attributeName="onmouseover" to="alert(1)"/></svg>'],
+    ['set href', '<svg><a><set attributeName="href" to="javascript:alert(1)"/><text y="20">set</text></a></svg>', 'set'],
+    ['animateTransform', '<svg><animateTransform onbegin="alert(1)"/></svg>'],
+    ['use with a data: document', '<svg><use href="data:image/svg+xml;base64,PHN2ZyBpZD0ieCI+PC9zdmc+#x"/></svg>']
+  ],
+
+  'CSS expression()': [
+    ['inline style', '<div style="width:expression(alert(1))">box</div>', 'box'],
+    ['escaped inline style', '<div style="width:e\\xpression(alert(1))">box</div>', 'box'],
+    ['comment inside the name', '<div style="width:expr/**/ession(alert(1))">box</div>', 'box'],
+    ['style block', '<style>div{width:expression(alert(1))}</style><div>box</div>', 'box'],
+    ['style block url()', '<style>div{background:url("jav\\09 ascript:alert(1)")}</style>'],
+    ['behavior binding', '<div style="behavior:url(x.htc);-moz-binding:url(x.xml#x)">box</div>', 'box']
+  ],
+
+  'mutation XSS': [
+    ['img in SVG style', '<svg><style><img src="x" onerror="alert(1)"></style></svg>'],
+    ['closing tag in SVG style', '<svg></p><style><a id="</style><img src=1 onerror=alert(1)>"></a></style></svg>'],
+    ['escaped markup in SVG style', '<svg><style>&lt;/style&gt;&lt;img src=x onerror=alert(1)&gt;</style></svg>'],
+    ['img in MathML style', '<math><style><img src="x" onerror="alert(1)"></style></math>'],
+    ['MathML mglyph', '<math><mtext><table><mglyph><style><!--</style><img title="--&gt;&lt;/mglyph&gt;&lt;img&Tab;src=1&Tab;onerror=alert(1)&gt;">'],
+    ['MathML mtext style', '<math><mtext><h1><a><h6></a></h6><mglyph><svg><mtext><style><a title="</style><img src onerror=alert(1)>"></style></h1>'],
+    ['closing style in HTML style', '<style>a{color:red}</style><style>&lt;/style&gt;<img src=x onerror=alert(1)></style>'],
+    ['noscript', '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>'],
+    ['comment', '<!--<img src="--><img src=x onerror=alert(1)//">'],
+    ['textarea', '<textarea></textarea><img src=x onerror=alert(1)></textarea>']
+  ]
+};
+
+/**
+ * CSS as an old browser reads it: comments dropped, escapes decoded,
+ * whitespace ignored
+ */
+function decodeCSS(text) {
+  return text
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\\([0-9a-f]{1,6})[ \t\n\r\f]?/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/\\([\s\S])/g, '$1')
+    .replace(/[\u0000- ]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Everything in html that could run script once a browser parses it
+ */
+function scriptVectors(html) {
+  const $ = cheerio.load(html);
+  const found = [];
+
+  $('*').each((i, elem) => {
+    const tag = elem.name.toLowerCase();
+    if (SCRIPT_TAGS.has(tag)) found.push(`<${tag}>`);
+
+    Object.entries(elem.attribs).forEach(([attr, value]) => {
+      const name = attr.toLowerCase();
+
+      if (name.startsWith('on')) found.push(`${tag}[${name}]`);
+      if (name === 'srcdoc') found.push(`${tag}[srcdoc]`);
+
+      if (URL_ATTRIBUTES.has(name)) {
+        // Whole srcset candidates, so a URL split by a tab is still seen
+        const urls = name === 'srcset' ? value.split(',') : [value];
+        urls.forEach(url => {
+          const normalized = url.replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase();
+          if (/^(javascript|vbscript|livescript):/.test(normalized)) found.push(`${tag}[${name}]=${url}`);
+          if (/^data:/.test(normalized) && ['a', 'area', 'use'].includes(tag)) found.push(`${tag}[${name}]=data:`);
+        });
+      }
+
+      if (name === 'style' && /expression\(|javascript:|behavior:|binding:/.test(decodeCSS(value))) {
+        found.push(`${tag}[style]=${value}`);
+      }
+    });
+
+    if (tag === 'meta' && ($(elem).attr('http-equiv') || '').trim().toLowerCase() === 'refresh') {
+      found.push('<meta http-equiv=refresh>');
+    }
+  });
+
+  $('style').each((i, elem) => {
+    const text = $(elem).text();
+    if (/expression\(|javascript:|vbscript:|behavior:|binding:/.test(decodeCSS(text))) found.push(`<style>${text}`);
+  });
+
+  return found;
+}
+
+function sanitize(payload, mode) {
+  const $ = parser.parse(`<!DOCTYPE html><html><head></head><body>${payload}</body></html>`);
+  parser.stripUnsafeContent($);
+  return parser.formatHTML($, mode);
+}
+
+Object.entries(CORPUS).forEach(([group, cases]) => {
+  test.describe(group, () => {
+    cases.forEach(([name, payload, keptText]) => {
+      parser.OUTPUT_MODES.forEach(mode => {
+        test(`${name} (${mode})`, () => {
+          const output = sanitize(payload, mode);
+
+          assert.deepStrictEqual(scriptVectors(output), [], `Unsafe output:\n${output}`);
+          assert.match(output, /<meta http-equiv="Content-Security-Policy"/);
+
+          // Sanitizing must not throw the content away with the payload
+          if (keptText) {
+            assert.ok(cheerio.load(output).root().text().includes(keptText), `Lost "${keptText}":\n${output}`);
+          }
+        });
+      });
+    });
+  });
+});